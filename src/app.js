@@ -4,9 +4,28 @@ import cors from "cors";
 
 const app = express();
 
+// Behind a reverse proxy (nginx, load balancer) req.ip must come from X-Forwarded-For
+// TRUST_PROXY = number of proxy hops, or any value Express accepts ("loopback", ...)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(
   cors({
     origin: process.env.CORS_ORIGIN,
+    // let the frontend read the rate limit + upload headers
+    exposedHeaders: [
+      "RateLimit-Policy",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "Retry-After",
+      // resumable uploads
+      "Upload-Offset",
+      "Upload-Length",
+      "Location",
+    ],
   }),
 );
 app.use(express.json());
@@ -16,7 +35,36 @@ app.use(cookieParser());
 
 //routes import
 import userRouter from "./routes/user.routes.js";
+import videoRouter from "./routes/video.routes.js";
+import subscriptionRouter from "./routes/subscription.routes.js";
+import commentRouter from "./routes/comment.routes.js";
+import likeRouter from "./routes/like.routes.js";
+import playlistRouter from "./routes/playlist.routes.js";
+import tweetRouter from "./routes/tweet.routes.js";
+import dashboardRouter from "./routes/dashboard.routes.js";
+import adminRouter from "./routes/admin.routes.js";
+import reportRouter from "./routes/report.routes.js";
+import feedRouter from "./routes/feed.routes.js";
+import notificationRouter from "./routes/notification.routes.js";
+import uploadRouter from "./routes/upload.routes.js";
+import { notFound, errorHandler } from "./middlewares/error.middleware.js";
 
 app.use("/users", userRouter);
+app.use("/videos", videoRouter);
+app.use("/subscriptions", subscriptionRouter);
+app.use("/comments", commentRouter);
+app.use("/likes", likeRouter);
+app.use("/playlists", playlistRouter);
+app.use("/tweets", tweetRouter);
+app.use("/dashboard", dashboardRouter);
+app.use("/admin", adminRouter);
+app.use("/reports", reportRouter);
+app.use("/feed", feedRouter);
+app.use("/notifications", notificationRouter);
+app.use("/upload-sessions", uploadRouter);
+
+// 404 + error handler must come after every router
+app.use(notFound);
+app.use(errorHandler);
 
 export { app };
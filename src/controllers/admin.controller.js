@@ -0,0 +1,335 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiErrors from "../utils/ApiErrors.js";
+import { ApiResponse } from "../utils/ApiResopnse.js";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Session } from "../models/session.model.js";
+import { AuditLog } from "../models/auditLog.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { deleteVideoWithRelatedData } from "../utils/contentCleanup.js";
+
+const ROLES = ["user", "moderator", "admin"];
+const AUDIT_TARGET_TYPES = ["User", "Video", "Comment", "Tweet", "Report"];
+
+// 🔎 Find the user a moderation action is aimed at
+const findTargetUser = async (userId) => {
+  if (!isValidObjectId(userId)) {
+    throw new ApiErrors(400, "Invalid user id");
+  }
+
+  const user = await User.findById(userId).select("-password");
+
+  if (!user) {
+    throw new ApiErrors(404, "User not found");
+  }
+
+  return user;
+};
+
+// 🛡️ Nobody acts on themselves, and moderators can only act on regular users
+const assertCanModerate = (actor, target) => {
+  if (actor._id.toString() === target._id.toString()) {
+    throw new ApiErrors(400, "You cannot perform this action on yourself");
+  }
+
+  if (actor.role !== "admin" && target.role !== "user") {
+    throw new ApiErrors(
+      403,
+      "Only admins can moderate moderators or other admins",
+    );
+  }
+};
+
+const findVideo = async (videoId) => {
+  if (!isValidObjectId(videoId)) {
+    throw new ApiErrors(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new ApiErrors(404, "Video not found");
+  }
+
+  return video;
+};
+
+//*************************************************List Users***************************************************************** */
+// 👥 ?q=<username/email/fullname>&role=moderator&banned=true&page=1&limit=10
+const listUsers = asyncHandler(async (req, res) => {
+  const { q, role, banned } = req.query;
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    throw new ApiErrors(400, `role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  const match = {};
+
+  if (q?.trim()) {
+    const escaped = q.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    match.$or = [
+      { username: { $regex: escaped, $options: "i" } },
+      { email: { $regex: escaped, $options: "i" } },
+      { fullname: { $regex: escaped, $options: "i" } },
+    ];
+  }
+
+  if (role) match.role = role;
+  if (banned === "true") match.isBanned = true;
+  if (banned === "false") match.isBanned = { $ne: true };
+
+  const aggregate = User.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $project: {
+        username: 1,
+        email: 1,
+        fullname: 1,
+        avatar: 1,
+        role: 1,
+        isBanned: 1,
+        bannedAt: 1,
+        banReason: 1,
+        isEmailVerified: 1,
+        createdAt: 1,
+      },
+    },
+  ]);
+
+  const users = await User.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, users, "Users fetched successfully"));
+});
+
+//*************************************************Ban / Unban***************************************************************** */
+// 🚫 Ban a user and sign them out of every device
+const banUser = asyncHandler(async (req, res) => {
+  const { reason } = req.body || {};
+
+  if (!reason?.trim()) {
+    throw new ApiErrors(400, "A reason is required to ban a user");
+  }
+
+  const user = await findTargetUser(req.params.userId);
+  assertCanModerate(req.user, user);
+
+  if (user.isBanned) {
+    throw new ApiErrors(409, "User is already banned");
+  }
+
+  user.isBanned = true;
+  user.bannedAt = new Date();
+  user.banReason = reason.trim();
+  await user.save({ validateBeforeSave: false });
+
+  await Session.revoke({ user: user._id }, "banned");
+
+  await AuditLog.record(req.user, "user.ban", "User", user._id, {
+    reason: reason.trim(),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User banned successfully"));
+});
+
+const unbanUser = asyncHandler(async (req, res) => {
+  const { reason } = req.body || {};
+
+  const user = await findTargetUser(req.params.userId);
+  assertCanModerate(req.user, user);
+
+  if (!user.isBanned) {
+    throw new ApiErrors(409, "User is not banned");
+  }
+
+  user.isBanned = false;
+  user.bannedAt = undefined;
+  user.banReason = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req.user, "user.unban", "User", user._id, {
+    reason: reason?.trim() || "",
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User unbanned successfully"));
+});
+
+//*************************************************Change Role***************************************************************** */
+// 👑 Admin only — body: { role: "user" | "moderator" | "admin" }
+const changeUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body || {};
+
+  if (!ROLES.includes(role)) {
+    throw new ApiErrors(400, `role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  const user = await findTargetUser(req.params.userId);
+  assertCanModerate(req.user, user);
+
+  const previousRole = user.role;
+
+  if (previousRole === role) {
+    throw new ApiErrors(409, `User already has the role "${role}"`);
+  }
+
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req.user, "user.role", "User", user._id, {
+    metadata: { from: previousRole, to: role },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User role updated successfully"));
+});
+
+//*************************************************Moderate Videos***************************************************************** */
+// 🙈 Hide a video — the owner can't publish it again until it is unlocked
+const unpublishVideo = asyncHandler(async (req, res) => {
+  const { reason } = req.body || {};
+
+  if (!reason?.trim()) {
+    throw new ApiErrors(400, "A reason is required to unpublish a video");
+  }
+
+  const video = await findVideo(req.params.videoId);
+
+  video.isPublished = false;
+  video.moderationLocked = true;
+  video.autoHiddenAt = null;
+  await video.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req.user, "video.unpublish", "Video", video._id, {
+    reason: reason.trim(),
+    metadata: { owner: video.owner },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video unpublished successfully"));
+});
+
+// 🔓 Allow the owner to publish the video again
+const unlockVideo = asyncHandler(async (req, res) => {
+  const { reason } = req.body || {};
+
+  const video = await findVideo(req.params.videoId);
+
+  if (!video.moderationLocked) {
+    throw new ApiErrors(409, "Video is not locked");
+  }
+
+  video.moderationLocked = false;
+  video.autoHiddenAt = null;
+  await video.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req.user, "video.unlock", "Video", video._id, {
+    reason: reason?.trim() || "",
+    metadata: { owner: video.owner },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video unlocked successfully"));
+});
+
+const deleteVideo = asyncHandler(async (req, res) => {
+  const { reason } = req.body || {};
+
+  if (!reason?.trim()) {
+    throw new ApiErrors(400, "A reason is required to delete a video");
+  }
+
+  const video = await findVideo(req.params.videoId);
+
+  await deleteVideoWithRelatedData(video);
+
+  await AuditLog.record(req.user, "video.delete", "Video", video._id, {
+    reason: reason.trim(),
+    metadata: { owner: video.owner, title: video.title },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video deleted successfully"));
+});
+
+//*************************************************Audit Logs***************************************************************** */
+// 📜 Admin only — ?actor=<userId>&action=user.ban&targetType=User&targetId=<id>
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { actor, action, targetType, targetId } = req.query;
+
+  const match = {};
+
+  if (actor !== undefined) {
+    if (!isValidObjectId(actor)) {
+      throw new ApiErrors(400, "Invalid actor id");
+    }
+    match.actor = new mongoose.Types.ObjectId(actor);
+  }
+
+  if (targetType !== undefined) {
+    if (!AUDIT_TARGET_TYPES.includes(targetType)) {
+      throw new ApiErrors(
+        400,
+        `targetType must be one of: ${AUDIT_TARGET_TYPES.join(", ")}`,
+      );
+    }
+    match.targetType = targetType;
+  }
+
+  if (targetId !== undefined) {
+    if (!isValidObjectId(targetId)) {
+      throw new ApiErrors(400, "Invalid target id");
+    }
+    match.targetId = new mongoose.Types.ObjectId(targetId);
+  }
+
+  if (action) match.action = action;
+
+  const aggregate = AuditLog.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "actor",
+        foreignField: "_id",
+        as: "actor",
+        pipeline: [{ $project: { username: 1, fullname: 1, role: 1 } }],
+      },
+    },
+    { $addFields: { actor: { $first: "$actor" } } },
+  ]);
+
+  const logs = await AuditLog.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, logs, "Audit logs fetched successfully"));
+});
+
+export {
+  listUsers,
+  banUser,
+  unbanUser,
+  changeUserRole,
+  unpublishVideo,
+  unlockVideo,
+  deleteVideo,
+  getAuditLogs,
+};
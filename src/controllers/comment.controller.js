@@ -0,0 +1,304 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiErrors from "../utils/ApiErrors.js";
+import { ApiResponse } from "../utils/ApiResopnse.js";
+import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { deleteCommentWithReplies } from "../utils/contentCleanup.js";
+import { notify } from "../utils/notifications/index.js";
+import {
+  userProfileLookup,
+  visibleVideosMatch,
+  likeStats,
+} from "../utils/aggregations.js";
+
+// 🔎 Find a video the viewer is allowed to see (unpublished → owner only)
+const findVisibleVideo = async (videoId, viewer) => {
+  if (!isValidObjectId(videoId)) {
+    throw new ApiErrors(400, "Invalid video id");
+  }
+
+  const video = await Video.findOne({
+    $and: [{ _id: videoId }, visibleVideosMatch(viewer)],
+  }).select("owner");
+
+  if (!video) {
+    throw new ApiErrors(404, "Video not found");
+  }
+
+  return video;
+};
+
+const findComment = async (commentId) => {
+  if (!isValidObjectId(commentId)) {
+    throw new ApiErrors(400, "Invalid comment id");
+  }
+
+  const comment = await Comment.findById(commentId);
+
+  if (!comment) {
+    throw new ApiErrors(404, "Comment not found");
+  }
+
+  return comment;
+};
+
+// 🧩 Stages that add author profile, likes and reply count to each comment
+const commentDetails = (viewer) => [
+  ...userProfileLookup("owner"),
+  ...likeStats("Comment", viewer),
+  {
+    $lookup: {
+      from: "comments",
+      localField: "_id",
+      foreignField: "parentComment",
+      as: "replies",
+      pipeline: [
+        { $match: { isHidden: { $ne: true } } },
+        { $project: { _id: 1 } },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      replyCount: { $size: "$replies" },
+    },
+  },
+  {
+    $project: {
+      replies: 0,
+    },
+  },
+];
+
+//*************************************************Get Video Comments***************************************************************** */
+// 📃 Top-level comments of a video (pinned first, then newest)
+const getVideoComments = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  await findVisibleVideo(videoId, req.user);
+
+  const aggregate = Comment.aggregate([
+    {
+      $match: {
+        video: new mongoose.Types.ObjectId(videoId),
+        parentComment: null,
+        isHidden: { $ne: true },
+      },
+    },
+    { $sort: { isPinned: -1, createdAt: -1, _id: -1 } },
+    ...commentDetails(req.user),
+  ]);
+
+  const comments = await Comment.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+//*************************************************Get Replies***************************************************************** */
+// 📃 Replies of one comment (oldest first, like a conversation)
+const getCommentReplies = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const parent = await findComment(commentId);
+  await findVisibleVideo(parent.video, req.user);
+
+  if (parent.isHidden) {
+    throw new ApiErrors(404, "Comment not found");
+  }
+
+  const aggregate = Comment.aggregate([
+    {
+      $match: {
+        parentComment: parent._id,
+        isHidden: { $ne: true },
+      },
+    },
+    { $sort: { createdAt: 1, _id: 1 } },
+    ...userProfileLookup("owner"),
+    ...likeStats("Comment", req.user),
+  ]);
+
+  const replies = await Comment.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, replies, "Replies fetched successfully"));
+});
+
+//*************************************************Add Comment***************************************************************** */
+// 💬 Comment on a video, or reply to a comment with parentCommentId
+const addComment = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { content, parentCommentId } = req.body;
+
+  if (!content?.trim()) {
+    throw new ApiErrors(400, "Comment content is required");
+  }
+
+  const video = await findVisibleVideo(videoId, req.user);
+
+  let parentComment = null;
+  let repliedTo = null;
+
+  if (parentCommentId) {
+    const parent = await findComment(parentCommentId);
+    repliedTo = parent;
+
+    if (parent.video.toString() !== video._id.toString()) {
+      throw new ApiErrors(400, "Parent comment belongs to another video");
+    }
+
+    // ↩️ Only one level of threads: replying to a reply goes under its parent
+    parentComment = parent.parentComment || parent._id;
+
+    // 🙈 Hidden by moderation → not there for readers, so no replies either
+    // (neither to the comment nor anywhere in its thread)
+    const threadHidden =
+      parent.isHidden ||
+      (parent.parentComment &&
+        (await Comment.exists({ _id: parent.parentComment, isHidden: true })));
+
+    if (threadHidden) {
+      throw new ApiErrors(404, "Comment not found");
+    }
+  }
+
+  const comment = await Comment.create({
+    content: content.trim(),
+    video: video._id,
+    owner: req.user?._id,
+    parentComment,
+  });
+
+  // 🔔 Tell the author of the comment being replied to, or the video owner
+  await notify(
+    repliedTo
+      ? {
+          recipient: repliedTo.owner,
+          actor: req.user._id,
+          type: "comment_reply",
+          targetType: "Comment",
+          target: repliedTo._id,
+          groupKey: `comment_reply:${repliedTo._id}`,
+        }
+      : {
+          recipient: video.owner,
+          actor: req.user._id,
+          type: "video_comment",
+          targetType: "Video",
+          target: video._id,
+          groupKey: `video_comment:${video._id}`,
+        },
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment added successfully"));
+});
+
+//*************************************************Update Comment***************************************************************** */
+// ✏️ Only the author can edit a comment
+const updateComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { content } = req.body;
+
+  if (!content?.trim()) {
+    throw new ApiErrors(400, "Comment content is required");
+  }
+
+  const comment = await findComment(commentId);
+
+  if (comment.owner.toString() !== req.user?._id.toString()) {
+    throw new ApiErrors(403, "You are not allowed to edit this comment");
+  }
+
+  comment.content = content.trim();
+  comment.isEdited = true;
+  await comment.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comment, "Comment updated successfully"));
+});
+
+//*************************************************Delete Comment***************************************************************** */
+// 🗑️ The author or the video owner can delete a comment (with its replies)
+const deleteComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findComment(commentId);
+  const video = await Video.findById(comment.video).select("owner");
+
+  const userId = req.user?._id.toString();
+  const isAuthor = comment.owner.toString() === userId;
+  const isVideoOwner = video?.owner?.toString() === userId;
+
+  if (!isAuthor && !isVideoOwner) {
+    throw new ApiErrors(403, "You are not allowed to delete this comment");
+  }
+
+  await deleteCommentWithReplies(comment);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted successfully"));
+});
+
+//*************************************************Toggle Pin***************************************************************** */
+// 📌 The video owner can pin one top-level comment per video
+const togglePinComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findComment(commentId);
+  const video = await Video.findById(comment.video).select("owner");
+
+  if (video?.owner?.toString() !== req.user?._id.toString()) {
+    throw new ApiErrors(403, "Only the video owner can pin comments");
+  }
+
+  if (comment.parentComment) {
+    throw new ApiErrors(400, "Replies cannot be pinned");
+  }
+
+  const isPinned = !comment.isPinned;
+
+  // 🔹 Unpin whatever was pinned before on this video
+  if (isPinned) {
+    await Comment.updateMany(
+      { video: comment.video, isPinned: true },
+      { $set: { isPinned: false } },
+    );
+  }
+
+  comment.isPinned = isPinned;
+  await comment.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isPinned },
+        isPinned ? "Comment pinned" : "Comment unpinned",
+      ),
+    );
+});
+
+export {
+  getVideoComments,
+  getCommentReplies,
+  addComment,
+  updateComment,
+  deleteComment,
+  togglePinComment,
+};
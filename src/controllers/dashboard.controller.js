@@ -0,0 +1,221 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiErrors from "../utils/ApiErrors.js";
+import { ApiResponse } from "../utils/ApiResopnse.js";
+import { Video } from "../models/video.model.js";
+import { subscription } from "../models/subscription.model.js";
+import { ViewStat } from "../models/viewStat.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+
+const INTERVALS = ["day", "week", "month"];
+const SORTABLE_FIELDS = ["createdAt", "views", "likesCount", "commentsCount"];
+const DAY = 24 * 60 * 60 * 1000;
+
+// ❤️ Count likes on each video
+const likesCountLookup = [
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: "target",
+      as: "likesCount",
+      pipeline: [{ $match: { targetType: "Video" } }, { $count: "count" }],
+    },
+  },
+  {
+    $addFields: {
+      likesCount: { $ifNull: [{ $first: "$likesCount.count" }, 0] },
+    },
+  },
+];
+
+// 📅 Parse ?from=&to= (ISO dates), default = last 30 days
+const getDateRange = ({ from, to }) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new ApiErrors(400, "from and to must be valid dates");
+  }
+
+  if (start >= end) {
+    throw new ApiErrors(400, "from must be before to");
+  }
+
+  return { start, end };
+};
+
+//*************************************************Channel Stats***************************************************************** */
+// 📊 Totals for the logged-in creator + top videos by views
+const getChannelStats = asyncHandler(async (req, res) => {
+  const ownerId = new mongoose.Types.ObjectId(req.user?._id);
+  const top = Math.min(Math.max(parseInt(req.query.top, 10) || 5, 1), 50);
+
+  const [videoStats] = await Video.aggregate([
+    { $match: { owner: ownerId } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              totalVideos: { $sum: 1 },
+              publishedVideos: { $sum: { $cond: ["$isPublished", 1, 0] } },
+              totalViews: { $sum: "$views" },
+            },
+          },
+        ],
+        likes: [
+          ...likesCountLookup,
+          { $group: { _id: null, totalLikes: { $sum: "$likesCount" } } },
+        ],
+        topVideos: [
+          { $sort: { views: -1, createdAt: -1 } },
+          { $limit: top },
+          ...likesCountLookup,
+          {
+            $project: {
+              title: 1,
+              thumbnail: 1,
+              views: 1,
+              likesCount: 1,
+              isPublished: 1,
+              createdAt: 1,
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const totalSubscribers = await subscription.countDocuments({
+    channel: ownerId,
+  });
+
+  const totals = videoStats.totals[0] || {};
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        totalVideos: totals.totalVideos || 0,
+        publishedVideos: totals.publishedVideos || 0,
+        totalViews: totals.totalViews || 0,
+        totalLikes: videoStats.likes[0]?.totalLikes || 0,
+        totalSubscribers,
+        topVideos: videoStats.topVideos,
+      },
+      "Channel stats fetched successfully",
+    ),
+  );
+});
+
+//*************************************************Stats Timeline***************************************************************** */
+// 📈 New subscribers + views per day / week / month
+// ?interval=day|week|month&from=2024-01-01&to=2024-02-01
+// Buckets with no activity are left out.
+const getChannelTimeline = asyncHandler(async (req, res) => {
+  const { interval = "day" } = req.query;
+
+  if (!INTERVALS.includes(interval)) {
+    throw new ApiErrors(
+      400,
+      `interval must be one of: ${INTERVALS.join(", ")}`,
+    );
+  }
+
+  const { start, end } = getDateRange(req.query);
+  const ownerId = new mongoose.Types.ObjectId(req.user?._id);
+
+  // 🧮 Group documents into buckets by truncating a date field
+  const bucketStages = (dateField, countExpression) => [
+    {
+      $group: {
+        _id: {
+          $dateTrunc: { date: `$${dateField}`, unit: interval },
+        },
+        count: { $sum: countExpression },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: "$_id", count: 1 } },
+  ];
+
+  const subscribers = await subscription.aggregate([
+    {
+      $match: {
+        channel: ownerId,
+        createdAt: { $gte: start, $lt: end },
+      },
+    },
+    ...bucketStages("createdAt", 1),
+  ]);
+
+  const views = await ViewStat.aggregate([
+    {
+      $match: {
+        owner: ownerId,
+        date: { $gte: start, $lt: end },
+      },
+    },
+    ...bucketStages("date", "$count"),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { interval, from: start, to: end, subscribers, views },
+        "Channel timeline fetched successfully",
+      ),
+    );
+});
+
+//*************************************************Channel Videos***************************************************************** */
+// 📃 Every video of the creator (unpublished too) with per-video stats
+const getChannelVideos = asyncHandler(async (req, res) => {
+  const { sortBy = "createdAt", sortType = "desc" } = req.query;
+
+  if (!SORTABLE_FIELDS.includes(sortBy)) {
+    throw new ApiErrors(
+      400,
+      `sortBy must be one of: ${SORTABLE_FIELDS.join(", ")}`,
+    );
+  }
+
+  const aggregate = Video.aggregate([
+    {
+      $match: {
+        owner: new mongoose.Types.ObjectId(req.user?._id),
+      },
+    },
+    ...likesCountLookup,
+    {
+      $lookup: {
+        from: "comments",
+        localField: "_id",
+        foreignField: "video",
+        as: "commentsCount",
+        pipeline: [{ $count: "count" }],
+      },
+    },
+    {
+      $addFields: {
+        commentsCount: { $ifNull: [{ $first: "$commentsCount.count" }, 0] },
+      },
+    },
+    { $sort: { [sortBy]: sortType === "asc" ? 1 : -1, _id: -1 } },
+  ]);
+
+  const videos = await Video.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Channel videos fetched successfully"));
+});
+
+export { getChannelStats, getChannelTimeline, getChannelVideos };
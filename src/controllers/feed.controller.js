@@ -0,0 +1,136 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiErrors from "../utils/ApiErrors.js";
+import { ApiResponse } from "../utils/ApiResopnse.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { subscription } from "../models/subscription.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { cursorMatch, buildCursorPage } from "../utils/cursor.js";
+import { userProfileLookup, publicVideosMatch } from "../utils/aggregations.js";
+import { recommendHome } from "../utils/recommendations/index.js";
+
+const MAX_FEED_LIMIT = 50;
+
+// 📺 Ids of every channel the user is subscribed to
+const getSubscribedChannelIds = (userId) =>
+  subscription.find({ subcribers: userId }).distinct("channel");
+
+//*************************************************Subscription Feed***************************************************************** */
+// 📰 Published videos of subscribed channels, newest first
+// Cursor pagination: ?cursor=<nextCursor from previous page>&limit=20
+// isUnseen = uploaded after the last POST /feed/subscriptions/seen,
+// so every page of the same scroll agrees on what is new.
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+  const limit = getPaginationOptions(req.query, {
+    defaultLimit: 20,
+    maxLimit: MAX_FEED_LIMIT,
+  }).limit;
+
+  const [channelIds, viewer] = await Promise.all([
+    getSubscribedChannelIds(req.user._id),
+    User.findById(req.user._id).select("subscriptionFeedCheckedAt"),
+  ]);
+
+  const lastCheckedAt = viewer?.subscriptionFeedCheckedAt || null;
+
+  const feedMatch = { owner: { $in: channelIds }, ...publicVideosMatch() };
+
+  const videos = await Video.aggregate([
+    {
+      $match: {
+        ...feedMatch,
+        ...cursorMatch(req.query.cursor),
+      },
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    // one extra document tells us whether there is a next page
+    { $limit: limit + 1 },
+    ...userProfileLookup("owner"),
+    {
+      $project: {
+        title: 1,
+        description: 1,
+        thumbnail: 1,
+        duration: 1,
+        views: 1,
+        owner: 1,
+        createdAt: 1,
+        isUnseen: lastCheckedAt ? { $gt: ["$createdAt", lastCheckedAt] } : true,
+      },
+    },
+  ]);
+
+  // 🔔 Badge count of new uploads since the last check
+  const unseenCount = await Video.countDocuments({
+    ...feedMatch,
+    ...(lastCheckedAt && { createdAt: { $gt: lastCheckedAt } }),
+  });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...buildCursorPage(videos, limit),
+        lastCheckedAt,
+        unseenCount,
+      },
+      "Subscription feed fetched successfully",
+    ),
+  );
+});
+
+//*************************************************Mark Feed Seen***************************************************************** */
+// 👀 Body (optional): { until: "<createdAt of the newest video shown>" }
+// Without "until" everything uploaded so far counts as seen.
+// The check time only moves forward, so an old tab can't make videos unseen again.
+const markSubscriptionFeedSeen = asyncHandler(async (req, res) => {
+  const { until } = req.body || {};
+
+  const now = new Date();
+  let checkedAt = now;
+
+  if (until !== undefined) {
+    checkedAt = new Date(until);
+
+    if (Number.isNaN(checkedAt.getTime())) {
+      throw new ApiErrors(400, "until must be a valid date");
+    }
+
+    if (checkedAt > now) checkedAt = now;
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $max: { subscriptionFeedCheckedAt: checkedAt } },
+    { new: true },
+  ).select("subscriptionFeedCheckedAt");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { lastCheckedAt: user.subscriptionFeedCheckedAt },
+        "Subscription feed marked as seen",
+      ),
+    );
+});
+
+//*************************************************Home Feed***************************************************************** */
+// 🏠 Recommended videos: ?limit=20 (max 50)
+// Personal for logged-in viewers (history, subscriptions, co-watching),
+// popular recent videos for everyone else.
+const getHomeFeed = asyncHandler(async (req, res) => {
+  const { limit } = getPaginationOptions(req.query, {
+    defaultLimit: 20,
+    maxLimit: MAX_FEED_LIMIT,
+  });
+
+  const videos = await recommendHome(req.user, { limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Home feed fetched successfully"));
+});
+
+export { getSubscriptionFeed, markSubscriptionFeedSeen, getHomeFeed };
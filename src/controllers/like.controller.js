@@ -0,0 +1,154 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiErrors from "../utils/ApiErrors.js";
+import { ApiResponse } from "../utils/ApiResopnse.js";
+import { Like } from "../models/like.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { notify } from "../utils/notifications/index.js";
+import {
+  userProfileLookup,
+  visibleVideosMatch,
+} from "../utils/aggregations.js";
+
+const findVisibleVideo = (id, viewer) =>
+  Video.findOne({ $and: [{ _id: id }, visibleVideosMatch(viewer)] })
+    .select("owner")
+    .lean();
+
+// 🔎 Find the thing being liked (and, for videos and comments, check the
+// video is visible). Only its owner is loaded — that's who gets notified
+const TARGET_LOOKUPS = {
+  Video: findVisibleVideo,
+  Comment: async (id, viewer) => {
+    const comment = await Comment.findOne({ _id: id, isHidden: { $ne: true } })
+      .select("owner video")
+      .lean();
+
+    // unpublished / processing video → its comments don't exist for the viewer
+    if (!comment || !(await findVisibleVideo(comment.video, viewer))) {
+      return null;
+    }
+
+    return comment;
+  },
+  Tweet: (id) => Tweet.findById(id).select("owner").lean(),
+};
+
+// 🔁 Like if not liked yet, otherwise remove the like
+const toggleLike = async (targetType, targetId, user) => {
+  if (!isValidObjectId(targetId)) {
+    throw new ApiErrors(400, `Invalid ${targetType.toLowerCase()} id`);
+  }
+
+  const target = await TARGET_LOOKUPS[targetType](targetId, user);
+
+  if (!target) {
+    throw new ApiErrors(404, `${targetType} not found`);
+  }
+
+  const filter = { targetType, target: targetId, likedBy: user._id };
+
+  const removed = await Like.findOneAndDelete(filter);
+
+  if (removed) {
+    return false;
+  }
+
+  try {
+    await Like.create(filter);
+  } catch (error) {
+    // ⚡ Parallel request already created it → unique index kept a single like
+    if (error?.code !== 11000) {
+      throw error;
+    }
+    return true;
+  }
+
+  // 🔔 "alice and 11 others liked your video"
+  await notify({
+    recipient: target.owner,
+    actor: user._id,
+    type: "like",
+    targetType,
+    target: target._id,
+    groupKey: `like:${targetType}:${target._id}`,
+  });
+
+  return true;
+};
+
+const sendToggleResponse = (res, isLiked) =>
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isLiked },
+        isLiked ? "Liked successfully" : "Like removed successfully",
+      ),
+    );
+
+//*************************************************Toggle Likes***************************************************************** */
+const toggleVideoLike = asyncHandler(async (req, res) => {
+  const isLiked = await toggleLike("Video", req.params.videoId, req.user);
+  return sendToggleResponse(res, isLiked);
+});
+
+const toggleCommentLike = asyncHandler(async (req, res) => {
+  const isLiked = await toggleLike("Comment", req.params.commentId, req.user);
+  return sendToggleResponse(res, isLiked);
+});
+
+const toggleTweetLike = asyncHandler(async (req, res) => {
+  const isLiked = await toggleLike("Tweet", req.params.tweetId, req.user);
+  return sendToggleResponse(res, isLiked);
+});
+
+//*************************************************Liked Videos***************************************************************** */
+// 📃 Videos the logged-in user liked, most recently liked first
+const getLikedVideos = asyncHandler(async (req, res) => {
+  const aggregate = Like.aggregate([
+    {
+      $match: {
+        likedBy: new mongoose.Types.ObjectId(req.user?._id),
+        targetType: "Video",
+      },
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "target",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          { $match: visibleVideosMatch(req.user) },
+          ...userProfileLookup("owner"),
+        ],
+      },
+    },
+    // deleted / unpublished videos drop out here
+    { $unwind: "$video" },
+    {
+      $project: {
+        _id: 0,
+        likedAt: "$createdAt",
+        video: 1,
+      },
+    },
+  ]);
+
+  const videos = await Like.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Liked videos fetched successfully"));
+});
+
+export { toggleVideoLike, toggleCommentLike, toggleTweetLike, getLikedVideos };
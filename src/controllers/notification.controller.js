@@ -0,0 +1,304 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiErrors from "../utils/ApiErrors.js";
+import { ApiResponse } from "../utils/ApiResopnse.js";
+import {
+  Notification,
+  NOTIFICATION_TYPES,
+} from "../models/notification.model.js";
+import { User } from "../models/user.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import {
+  authenticateAccessToken,
+  getAccessToken,
+} from "../middlewares/auth.middleware.js";
+import { getUnreadCount } from "../utils/notifications/index.js";
+import { buildNotificationMessage } from "../utils/notifications/messages.js";
+import { subscribe } from "../utils/notifications/hub.js";
+
+const HEARTBEAT_MS = 25 * 1000;
+
+//*************************************************List Notifications***************************************************************** */
+// 🔔 ?unread=true&type=like&page=1&limit=20 — latest activity first
+const getNotifications = asyncHandler(async (req, res) => {
+  const { unread, type } = req.query;
+
+  if (type !== undefined && !NOTIFICATION_TYPES.includes(type)) {
+    throw new ApiErrors(
+      400,
+      `type must be one of: ${NOTIFICATION_TYPES.join(", ")}`,
+    );
+  }
+
+  const aggregate = Notification.aggregate([
+    {
+      $match: {
+        recipient: new mongoose.Types.ObjectId(req.user._id),
+        ...(unread === "true" && { isRead: false }),
+        ...(type && { type }),
+      },
+    },
+    { $sort: { updatedAt: -1, _id: -1 } },
+    // 👥 Profiles of the 3 most recent actors, in that order
+    { $addFields: { actorIds: { $slice: ["$actors", 3] } } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "actorIds",
+        foreignField: "_id",
+        as: "actorProfiles",
+        pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+      },
+    },
+    {
+      $addFields: {
+        actors: {
+          $filter: {
+            input: {
+              $map: {
+                input: "$actorIds",
+                as: "id",
+                in: {
+                  $first: {
+                    $filter: {
+                      input: "$actorProfiles",
+                      cond: { $eq: ["$$this._id", "$$id"] },
+                    },
+                  },
+                },
+              },
+            },
+            cond: { $ne: ["$$this", null] },
+          },
+        },
+      },
+    },
+    { $project: { actorIds: 0, actorProfiles: 0 } },
+  ]);
+
+  const notifications = await Notification.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query, { defaultLimit: 20 }),
+  );
+
+  notifications.docs = notifications.docs.map((notification) => ({
+    ...notification,
+    message: buildNotificationMessage(notification),
+  }));
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...notifications,
+        unreadCount: await getUnreadCount(req.user._id),
+      },
+      "Notifications fetched successfully",
+    ),
+  );
+});
+
+const getUnreadNotificationsCount = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { unreadCount: await getUnreadCount(req.user._id) },
+        "Unread count fetched successfully",
+      ),
+    );
+});
+
+//*************************************************Mark Read***************************************************************** */
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+
+  if (!isValidObjectId(notificationId)) {
+    throw new ApiErrors(400, "Invalid notification id");
+  }
+
+  const notification = await Notification.findOne({
+    _id: notificationId,
+    recipient: req.user._id,
+  });
+
+  if (!notification) {
+    throw new ApiErrors(404, "Notification not found");
+  }
+
+  // already read → nothing to change (keeps the first readAt)
+  if (!notification.isRead) {
+    notification.isRead = true;
+    notification.readAt = new Date();
+    // marking as read is not new activity — keep its place in the list
+    await notification.save({ timestamps: false });
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, notification, "Notification marked as read"));
+});
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user._id, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } },
+    { timestamps: false },
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { markedCount: result.modifiedCount },
+        "All notifications marked as read",
+      ),
+    );
+});
+
+//*************************************************Preferences***************************************************************** */
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(
+    "notificationPreferences",
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        user.notificationPreferences,
+        "Notification preferences fetched successfully",
+      ),
+    );
+});
+
+// ⚙️ Body: any subset of { new_video, comment_reply, video_comment, like, subscriber } → true / false
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const update = {};
+
+  for (const [type, enabled] of Object.entries(body)) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw new ApiErrors(
+        400,
+        `Unknown notification type "${type}", expected one of: ${NOTIFICATION_TYPES.join(", ")}`,
+      );
+    }
+
+    if (typeof enabled !== "boolean") {
+      throw new ApiErrors(400, `${type} must be true or false`);
+    }
+
+    update[`notificationPreferences.${type}`] = enabled;
+  }
+
+  if (!Object.keys(update).length) {
+    throw new ApiErrors(400, "At least one preference is required");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: update },
+    { new: true },
+  ).select("notificationPreferences");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        user.notificationPreferences,
+        "Notification preferences updated successfully",
+      ),
+    );
+});
+
+//*************************************************Live Stream***************************************************************** */
+// 📡 Server-Sent Events: GET /notifications/stream
+// Same access token as the rest of the API — cookie or Bearer header.
+// Browsers use the accessToken cookie (EventSource with withCredentials);
+// never the url, which ends up in access logs and the browser history.
+// Events: "notification" (a new / grouped notification), "unread-count".
+// The token is checked again on every heartbeat, so logout / ban / expiry
+// closes the stream.
+const streamNotifications = asyncHandler(async (req, res) => {
+  const token = getAccessToken(req);
+
+  if (!token) {
+    throw new ApiErrors(401, "Unauthorized user (No token)");
+  }
+
+  let user;
+
+  try {
+    ({ user } = await authenticateAccessToken(token));
+  } catch (error) {
+    if (error instanceof ApiErrors) throw error;
+    throw new ApiErrors(401, error?.message || "invalid access Token");
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let heartbeat = null;
+  let unsubscribe = () => {};
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  // 🔌 Before any await, so a client leaving early still cleans up
+  req.on("close", close);
+
+  unsubscribe = subscribe(user._id, { send, close });
+
+  heartbeat = setInterval(async () => {
+    try {
+      await authenticateAccessToken(token);
+      res.write(": heartbeat\n\n");
+    } catch (error) {
+      send("session-ended", { message: "Please log in again" });
+      close();
+    }
+  }, HEARTBEAT_MS);
+
+  // reconnect after 5 s if the connection drops
+  res.write("retry: 5000\n\n");
+
+  // ⚠️ Headers are already sent → errors end the stream instead of the error handler
+  try {
+    const unreadCount = await getUnreadCount(user._id);
+    if (!closed) send("unread-count", { unreadCount });
+  } catch (error) {
+    console.log("Notification stream error:", error);
+    if (!closed) send("stream-error", { message: "Something went wrong" });
+    close();
+  }
+});
+
+export {
+  getNotifications,
+  getUnreadNotificationsCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  streamNotifications,
+};
@@ -0,0 +1,342 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiErrors from "../utils/ApiErrors.js";
+import { ApiResponse } from "../utils/ApiResopnse.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import {
+  userProfileLookup,
+  publicVideosMatch,
+  visibleVideosMatch,
+} from "../utils/aggregations.js";
+
+const VISIBILITIES = ["public", "private"];
+
+const isOwner = (playlist, user) =>
+  playlist.owner?.toString() === user?._id?.toString();
+
+// 🔎 Find a playlist and make sure the logged-in user owns it
+const findOwnedPlaylist = async (playlistId, user) => {
+  if (!isValidObjectId(playlistId)) {
+    throw new ApiErrors(400, "Invalid playlist id");
+  }
+
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist) {
+    throw new ApiErrors(404, "Playlist not found");
+  }
+
+  if (!isOwner(playlist, user)) {
+    throw new ApiErrors(403, "You are not allowed to modify this playlist");
+  }
+
+  return playlist;
+};
+
+const validateVisibility = (visibility) => {
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    throw new ApiErrors(
+      400,
+      `visibility must be one of: ${VISIBILITIES.join(", ")}`,
+    );
+  }
+};
+
+//*************************************************Create Playlist***************************************************************** */
+const createPlaylist = asyncHandler(async (req, res) => {
+  const { name, description, visibility } = req.body;
+
+  if (!name?.trim()) {
+    throw new ApiErrors(400, "Playlist name is required");
+  }
+
+  validateVisibility(visibility);
+
+  const playlist = await Playlist.create({
+    name: name.trim(),
+    description: description?.trim() || "",
+    visibility,
+    owner: req.user?._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, playlist, "Playlist created successfully"));
+});
+
+//*************************************************User Playlists***************************************************************** */
+// 📃 Playlists of a user (private ones only for the owner)
+const getUserPlaylists = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiErrors(400, "Invalid user id");
+  }
+
+  const isSelf = userId === req.user?._id.toString();
+
+  const aggregate = Playlist.aggregate([
+    {
+      $match: {
+        owner: new mongoose.Types.ObjectId(userId),
+        ...(!isSelf && { visibility: "public" }),
+      },
+    },
+    { $sort: { updatedAt: -1, _id: -1 } },
+    // 🖼️ First published video gives the playlist its cover thumbnail
+    {
+      $lookup: {
+        from: "videos",
+        localField: "videos",
+        foreignField: "_id",
+        as: "publishedVideos",
+        pipeline: [
+          { $match: publicVideosMatch() },
+          { $project: { thumbnail: 1 } },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        totalVideos: { $size: "$publishedVideos" },
+        thumbnail: { $first: "$publishedVideos.thumbnail" },
+      },
+    },
+    {
+      $project: {
+        videos: 0,
+        publishedVideos: 0,
+      },
+    },
+  ]);
+
+  const playlists = await Playlist.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlists, "Playlists fetched successfully"));
+});
+
+//*************************************************Get Playlist***************************************************************** */
+// 📼 Playlist with its videos in order (unpublished / deleted videos are skipped)
+const getPlaylistById = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  if (!isValidObjectId(playlistId)) {
+    throw new ApiErrors(400, "Invalid playlist id");
+  }
+
+  const playlist = await Playlist.findById(playlistId).lean();
+
+  // ❌ Private playlists look like missing ones to everyone but the owner
+  if (
+    !playlist ||
+    (playlist.visibility === "private" && !isOwner(playlist, req.user))
+  ) {
+    throw new ApiErrors(404, "Playlist not found");
+  }
+
+  const videos = await Playlist.aggregate([
+    { $match: { _id: playlist._id } },
+    { $unwind: { path: "$videos", includeArrayIndex: "position" } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "videos",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          { $match: publicVideosMatch() },
+          ...userProfileLookup("owner"),
+          {
+            $project: {
+              title: 1,
+              thumbnail: 1,
+              duration: 1,
+              views: 1,
+              owner: 1,
+              createdAt: 1,
+            },
+          },
+        ],
+      },
+    },
+    { $unwind: "$video" },
+    { $sort: { position: 1 } },
+    { $replaceRoot: { newRoot: "$video" } },
+  ]);
+
+  const owner = await User.findById(playlist.owner).select(
+    "username fullname avatar",
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...playlist,
+        owner,
+        videos,
+        totalVideos: videos.length,
+        totalDuration: videos.reduce((sum, v) => sum + (v.duration || 0), 0),
+      },
+      "Playlist fetched successfully",
+    ),
+  );
+});
+
+//*************************************************Update Playlist***************************************************************** */
+// ✏️ Rename / change description / change visibility (owner only)
+const updatePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  const { name, description, visibility } = req.body;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  if (name !== undefined) {
+    if (!name?.trim()) {
+      throw new ApiErrors(400, "Playlist name cannot be empty");
+    }
+    playlist.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    playlist.description = description?.trim() || "";
+  }
+
+  validateVisibility(visibility);
+
+  if (visibility !== undefined) {
+    playlist.visibility = visibility;
+  }
+
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist updated successfully"));
+});
+
+//*************************************************Delete Playlist***************************************************************** */
+const deletePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  await Playlist.findByIdAndDelete(playlist._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Playlist deleted successfully"));
+});
+
+//*************************************************Add / Remove Video***************************************************************** */
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiErrors(400, "Invalid video id");
+  }
+
+  const video = await Video.exists({
+    $and: [{ _id: videoId }, visibleVideosMatch(req.user)],
+  });
+
+  if (!video) {
+    throw new ApiErrors(404, "Video not found");
+  }
+
+  // ➕ $addToSet appends at the end and ignores duplicates
+  const updated = await Playlist.findByIdAndUpdate(
+    playlist._id,
+    { $addToSet: { videos: video._id } },
+    { new: true },
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updated, "Video added to playlist"));
+});
+
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiErrors(400, "Invalid video id");
+  }
+
+  const updated = await Playlist.findByIdAndUpdate(
+    playlist._id,
+    { $pull: { videos: new mongoose.Types.ObjectId(videoId) } },
+    { new: true },
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updated, "Video removed from playlist"));
+});
+
+//*************************************************Reorder Videos***************************************************************** */
+// 🔀 Body: { videoIds: [...] } — the full playlist in its new order
+const reorderPlaylistVideos = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  const { videoIds } = req.body;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  const current = playlist.videos.map((id) => id.toString());
+
+  // ❌ New order must contain exactly the same videos
+  const isPermutation =
+    Array.isArray(videoIds) &&
+    videoIds.length === current.length &&
+    new Set(videoIds.map(String)).size === videoIds.length &&
+    videoIds.every((id) => current.includes(String(id)));
+
+  if (!isPermutation) {
+    throw new ApiErrors(
+      400,
+      "videoIds must contain every video of the playlist exactly once",
+    );
+  }
+
+  // 🔒 Only apply if nobody changed the playlist since we read it
+  const updated = await Playlist.findOneAndUpdate(
+    { _id: playlist._id, videos: playlist.videos },
+    {
+      $set: {
+        videos: videoIds.map((id) => new mongoose.Types.ObjectId(String(id))),
+      },
+    },
+    { new: true },
+  );
+
+  if (!updated) {
+    throw new ApiErrors(409, "Playlist was changed, reload and try again");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updated, "Playlist reordered successfully"));
+});
+
+export {
+  createPlaylist,
+  getUserPlaylists,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  reorderPlaylistVideos,
+};
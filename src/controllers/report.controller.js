@@ -0,0 +1,436 @@
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiErrors from "../utils/ApiErrors.js";
+import { ApiResponse } from "../utils/ApiResopnse.js";
+import { Report, REPORT_REASONS } from "../models/report.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { User } from "../models/user.model.js";
+import { AuditLog } from "../models/auditLog.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import {
+  userProfileLookup,
+  visibleVideosMatch,
+} from "../utils/aggregations.js";
+import {
+  deleteVideoWithRelatedData,
+  deleteCommentWithReplies,
+} from "../utils/contentCleanup.js";
+import { sendEmail } from "../utils/mailer/index.js";
+import { moderationWarningMail } from "../utils/mailer/templates.js";
+
+const TARGET_TYPES = ["Video", "Comment", "User"];
+const STATUSES = ["open", "resolved", "dismissed"];
+
+// ✅ Which resolve actions make sense for each kind of target
+// (users are banned from the admin endpoints, not from here)
+const ACTIONS_BY_TYPE = {
+  Video: ["dismiss", "unpublish", "delete", "warn"],
+  Comment: ["dismiss", "delete", "warn"],
+  User: ["dismiss", "warn"],
+};
+
+// 🔢 Distinct reporters needed before content is hidden automatically
+// REPORT_AUTO_HIDE_THRESHOLD=0 turns auto-hiding off
+const getAutoHideThreshold = () => {
+  const value = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD, 10);
+  return Number.isNaN(value) ? 5 : value;
+};
+
+// 🔎 Load the reported thing + the user responsible for it
+const TARGET_LOOKUPS = {
+  Video: async (id) => {
+    const video = await Video.findById(id);
+    return video && { doc: video, ownerId: video.owner, label: "your video" };
+  },
+  Comment: async (id) => {
+    const comment = await Comment.findById(id);
+    return (
+      comment && { doc: comment, ownerId: comment.owner, label: "your comment" }
+    );
+  },
+  User: async (id) => {
+    const user = await User.findById(id).select("_id");
+    return user && { doc: user, ownerId: user._id, label: "your account" };
+  },
+};
+
+// 🙈 Hide content → the state it had before (null when nothing changed)
+const HIDE_TARGET = {
+  Video: async (id) => {
+    const before = await Video.findOneAndUpdate(
+      { _id: id, isPublished: true },
+      {
+        $set: {
+          isPublished: false,
+          moderationLocked: true,
+          autoHiddenAt: new Date(),
+        },
+      },
+    );
+
+    return (
+      before && {
+        isPublished: before.isPublished,
+        moderationLocked: before.moderationLocked,
+      }
+    );
+  },
+  Comment: async (id) => {
+    const { modifiedCount } = await Comment.updateOne(
+      { _id: id, isHidden: { $ne: true } },
+      { $set: { isHidden: true } },
+    );
+
+    return modifiedCount ? { isHidden: false } : null;
+  },
+};
+
+// 👀 Put back what auto-hiding changed — unless a moderator decided about the
+// video since (unpublish / unlock clear autoHiddenAt)
+const RESTORE_TARGET = {
+  Video: (id, state) =>
+    Video.updateOne(
+      { _id: id, autoHiddenAt: { $ne: null } },
+      {
+        $set: {
+          isPublished: state?.isPublished ?? true,
+          moderationLocked: state?.moderationLocked ?? false,
+          autoHiddenAt: null,
+        },
+      },
+    ),
+  Comment: (id) =>
+    Comment.updateOne({ _id: id }, { $set: { isHidden: false } }),
+};
+
+// 🚨 Hide the target once enough different viewers reported it
+const autoHideIfNeeded = async (targetType, target) => {
+  const threshold = getAutoHideThreshold();
+
+  if (threshold <= 0 || !HIDE_TARGET[targetType]) {
+    return false;
+  }
+
+  // the unique index guarantees one report per reporter, so this counts distinct reporters
+  const openReports = await Report.countDocuments({
+    targetType,
+    target,
+    status: "open",
+  });
+
+  if (openReports < threshold) {
+    return false;
+  }
+
+  const hiddenState = await HIDE_TARGET[targetType](target);
+
+  if (!hiddenState) {
+    return false;
+  }
+
+  // remember it, so dismissing the reports can bring the content back
+  await Report.updateMany(
+    { targetType, target, status: "open" },
+    { $set: { autoHidden: true, hiddenState } },
+  );
+
+  await AuditLog.record(
+    null,
+    `${targetType.toLowerCase()}.autoHide`,
+    targetType,
+    target,
+    { metadata: { openReports, threshold } },
+  );
+
+  return true;
+};
+
+// 🚩 Report a target once — reporting it again returns the first report
+const createReport = async (targetType, targetId, req) => {
+  const { reason, note } = req.body || {};
+
+  if (!isValidObjectId(targetId)) {
+    throw new ApiErrors(400, `Invalid ${targetType.toLowerCase()} id`);
+  }
+
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new ApiErrors(
+      400,
+      `reason must be one of: ${REPORT_REASONS.join(", ")}`,
+    );
+  }
+
+  if (note !== undefined && typeof note !== "string") {
+    throw new ApiErrors(400, "note must be a string");
+  }
+
+  if (note?.trim().length > 1000) {
+    throw new ApiErrors(400, "note must be at most 1000 characters");
+  }
+
+  // ❌ Videos must be visible to the reporter, like everywhere else
+  const found =
+    targetType === "Video"
+      ? await Video.exists({
+          $and: [{ _id: targetId }, visibleVideosMatch(req.user)],
+        }).then((exists) => exists && TARGET_LOOKUPS.Video(targetId))
+      : await TARGET_LOOKUPS[targetType](targetId);
+
+  if (!found) {
+    throw new ApiErrors(404, `${targetType} not found`);
+  }
+
+  if (found.ownerId.toString() === req.user._id.toString()) {
+    throw new ApiErrors(400, "You cannot report your own content");
+  }
+
+  const filter = { reporter: req.user._id, targetType, target: found.doc._id };
+
+  const existing = await Report.findOne(filter);
+
+  if (existing) {
+    return { report: existing, created: false };
+  }
+
+  let report;
+
+  try {
+    report = await Report.create({
+      ...filter,
+      reason,
+      note: note?.trim() || "",
+    });
+  } catch (error) {
+    // ⚡ Parallel request already created it → unique index kept a single report
+    if (error?.code !== 11000) {
+      throw error;
+    }
+    return { report: await Report.findOne(filter), created: false };
+  }
+
+  await autoHideIfNeeded(targetType, found.doc._id);
+
+  return { report, created: true };
+};
+
+const sendReportResponse = (res, { report, created }) =>
+  res
+    .status(created ? 201 : 200)
+    .json(
+      new ApiResponse(
+        created ? 201 : 200,
+        report,
+        created ? "Report submitted successfully" : "You already reported this",
+      ),
+    );
+
+//*************************************************Report Content***************************************************************** */
+// 🚩 Body: { reason: "spam" | "harassment" | ..., note?: "..." }
+const reportVideo = asyncHandler(async (req, res) => {
+  const result = await createReport("Video", req.params.videoId, req);
+  return sendReportResponse(res, result);
+});
+
+const reportComment = asyncHandler(async (req, res) => {
+  const result = await createReport("Comment", req.params.commentId, req);
+  return sendReportResponse(res, result);
+});
+
+const reportUser = asyncHandler(async (req, res) => {
+  const result = await createReport("User", req.params.userId, req);
+  return sendReportResponse(res, result);
+});
+
+//*************************************************Moderation Queue***************************************************************** */
+// 📋 ?status=open&targetType=Video&page=1&limit=10 — oldest first, like a queue
+const getReports = asyncHandler(async (req, res) => {
+  const { status = "open", targetType } = req.query;
+
+  if (!STATUSES.includes(status)) {
+    throw new ApiErrors(400, `status must be one of: ${STATUSES.join(", ")}`);
+  }
+
+  if (targetType !== undefined && !TARGET_TYPES.includes(targetType)) {
+    throw new ApiErrors(
+      400,
+      `targetType must be one of: ${TARGET_TYPES.join(", ")}`,
+    );
+  }
+
+  const aggregate = Report.aggregate([
+    {
+      $match: {
+        status,
+        ...(targetType && { targetType }),
+      },
+    },
+    { $sort: { createdAt: 1, _id: 1 } },
+    ...userProfileLookup("reporter"),
+    // 🔢 How many viewers reported the same target (with the same status)
+    {
+      $lookup: {
+        from: "reports",
+        localField: "target",
+        foreignField: "target",
+        let: { targetType: "$targetType", status: "$status" },
+        as: "targetReports",
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$targetType", "$$targetType"] },
+                  { $eq: ["$status", "$$status"] },
+                ],
+              },
+            },
+          },
+          { $count: "count" },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        targetReportsCount: {
+          $ifNull: [{ $first: "$targetReports.count" }, 0],
+        },
+      },
+    },
+    { $project: { targetReports: 0 } },
+  ]);
+
+  const reports = await Report.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, reports, "Reports fetched successfully"));
+});
+
+//*************************************************Resolve Report***************************************************************** */
+// ⚖️ Body: { action: "dismiss" | "unpublish" | "delete" | "warn", note?: "..." }
+// Closes every open report of the same target, not only this one.
+// "warn" leaves the content as it is and notifies its owner.
+const resolveReport = asyncHandler(async (req, res) => {
+  const { reportId } = req.params;
+  const { action, note } = req.body || {};
+
+  if (!isValidObjectId(reportId)) {
+    throw new ApiErrors(400, "Invalid report id");
+  }
+
+  const report = await Report.findById(reportId);
+
+  if (!report) {
+    throw new ApiErrors(404, "Report not found");
+  }
+
+  if (report.status !== "open") {
+    throw new ApiErrors(409, "Report is already resolved");
+  }
+
+  const { targetType, target } = report;
+
+  if (!ACTIONS_BY_TYPE[targetType].includes(action)) {
+    throw new ApiErrors(
+      400,
+      `action for a ${targetType} must be one of: ${ACTIONS_BY_TYPE[targetType].join(", ")}`,
+    );
+  }
+
+  const found = await TARGET_LOOKUPS[targetType](target);
+
+  // ❌ Content deleted in the meantime can only be dismissed
+  if (!found && action !== "dismiss") {
+    throw new ApiErrors(404, "Reported content no longer exists");
+  }
+
+  const moderatorNote = typeof note === "string" ? note.trim() : "";
+
+  if (action === "dismiss") {
+    const hiddenReport = await Report.findOne({
+      targetType,
+      target,
+      status: "open",
+      autoHidden: true,
+    }).select("hiddenState");
+
+    // 👀 Nothing wrong after all → bring auto-hidden content back
+    if (found && hiddenReport && RESTORE_TARGET[targetType]) {
+      await RESTORE_TARGET[targetType](target, hiddenReport.hiddenState);
+    }
+  }
+
+  if (action === "unpublish") {
+    found.doc.isPublished = false;
+    found.doc.moderationLocked = true;
+    found.doc.autoHiddenAt = null;
+    await found.doc.save({ validateBeforeSave: false });
+  }
+
+  if (action === "delete") {
+    if (targetType === "Video") {
+      await deleteVideoWithRelatedData(found.doc);
+    } else {
+      await deleteCommentWithReplies(found.doc);
+    }
+  }
+
+  if (action === "warn") {
+    const owner = await User.findByIdAndUpdate(
+      found.ownerId,
+      { $inc: { warningsCount: 1 } },
+      { new: true },
+    );
+
+    // 📧 The warning counts even if the mail fails — a retry would count it twice
+    if (owner) {
+      try {
+        await sendEmail({
+          to: owner.email,
+          ...moderationWarningMail(owner.username, found.label, moderatorNote),
+        });
+      } catch (error) {
+        console.log("Moderation warning email error:", error);
+      }
+    }
+  }
+
+  // ✅ Close every open report of this target in one go
+  const closed = await Report.updateMany(
+    { targetType, target, status: "open" },
+    {
+      $set: {
+        status: action === "dismiss" ? "dismissed" : "resolved",
+        resolution: {
+          action,
+          resolvedBy: req.user._id,
+          resolvedAt: new Date(),
+          note: moderatorNote,
+        },
+      },
+    },
+  );
+
+  await AuditLog.record(req.user, `report.${action}`, targetType, target, {
+    reason: moderatorNote,
+    metadata: { reportId: report._id, reportsClosed: closed.modifiedCount },
+  });
+
+  const updated = await Report.findById(report._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { report: updated, reportsClosed: closed.modifiedCount },
+        "Report resolved successfully",
+      ),
+    );
+});
+
+export { reportVideo, reportComment, reportUser, getReports, resolveReport };
@@ -0,0 +1,156 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiErrors from "../utils/ApiErrors.js";
+import { ApiResponse } from "../utils/ApiResopnse.js";
+import { User } from "../models/user.model.js";
+import { subscription } from "../models/subscription.model.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { userProfileLookup } from "../utils/aggregations.js";
+import { notify } from "../utils/notifications/index.js";
+
+// 🔎 Make sure the id is valid and belongs to an existing user
+const ensureUserExists = async (userId, label) => {
+  if (!isValidObjectId(userId)) {
+    throw new ApiErrors(400, `Invalid ${label} id`);
+  }
+
+  const exists = await User.exists({ _id: userId });
+
+  if (!exists) {
+    throw new ApiErrors(404, `${label} does not exists`);
+  }
+};
+
+//*************************************************Toggle Subscription***************************************************************** */
+// 🔁 Subscribe if not subscribed yet, otherwise unsubscribe
+const toggleSubscription = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  await ensureUserExists(channelId, "channel");
+
+  // ❌ A user cannot subscribe to their own channel
+  if (channelId === req.user?._id.toString()) {
+    throw new ApiErrors(400, "You cannot subscribe to your own channel");
+  }
+
+  const removed = await subscription.findOneAndDelete({
+    subcribers: req.user?._id,
+    channel: channelId,
+  });
+
+  if (removed) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { isSubscribed: false },
+          "Unsubscribed successfully",
+        ),
+      );
+  }
+
+  try {
+    await subscription.create({
+      subcribers: req.user?._id,
+      channel: channelId,
+    });
+
+    // 🔔 "alice and 4 others subscribed to your channel"
+    await notify({
+      recipient: channelId,
+      actor: req.user._id,
+      type: "subscriber",
+      targetType: "User",
+      target: channelId,
+      groupKey: "subscriber",
+    });
+  } catch (error) {
+    // ⚡ Two parallel requests → unique index already has the row, that's fine
+    if (error?.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { isSubscribed: true }, "Subscribed successfully"),
+    );
+});
+
+//*************************************************Channel Subscribers***************************************************************** */
+// 📃 Paged list of users subscribed to a channel
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  await ensureUserExists(channelId, "channel");
+
+  const aggregate = subscription.aggregate([
+    {
+      $match: {
+        channel: new mongoose.Types.ObjectId(channelId),
+      },
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    ...userProfileLookup("subcribers"),
+    {
+      $project: {
+        subscriber: "$subcribers",
+        subscribedAt: "$createdAt",
+      },
+    },
+  ]);
+
+  const subscribers = await subscription.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, subscribers, "Subscribers fetched successfully"),
+    );
+});
+
+//*************************************************Subscribed Channels***************************************************************** */
+// 📃 Paged list of channels a user is subscribed to
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+  const { subscriberId } = req.params;
+
+  await ensureUserExists(subscriberId, "subscriber");
+
+  const aggregate = subscription.aggregate([
+    {
+      $match: {
+        subcribers: new mongoose.Types.ObjectId(subscriberId),
+      },
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    ...userProfileLookup("channel"),
+    {
+      $project: {
+        channel: 1,
+        subscribedAt: "$createdAt",
+      },
+    },
+  ]);
+
+  const channels = await subscription.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        channels,
+        "Subscribed channels fetched successfully",
+      ),
+    );
+});
+
+export { toggleSubscription, getUserChannelSubscribers, getSubscribedChannels };
@@ -0,0 +1,189 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiErrors from "../utils/ApiErrors.js";
+import { ApiResponse } from "../utils/ApiResopnse.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Like } from "../models/like.model.js";
+import { Notification } from "../models/notification.model.js";
+import { subscription } from "../models/subscription.model.js";
+import { uploadFile, deleteFile } from "../utils/storage/index.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { cursorMatch, buildCursorPage } from "../utils/cursor.js";
+import { userProfileLookup, likeStats } from "../utils/aggregations.js";
+
+const MAX_FEED_LIMIT = 50;
+
+// 🔎 Find a tweet and make sure the logged-in user owns it
+const findOwnedTweet = async (tweetId, userId) => {
+  if (!isValidObjectId(tweetId)) {
+    throw new ApiErrors(400, "Invalid tweet id");
+  }
+
+  const tweet = await Tweet.findById(tweetId);
+
+  if (!tweet) {
+    throw new ApiErrors(404, "Tweet not found");
+  }
+
+  if (tweet.owner.toString() !== userId?.toString()) {
+    throw new ApiErrors(403, "You are not allowed to modify this tweet");
+  }
+
+  return tweet;
+};
+
+//*************************************************Create Tweet***************************************************************** */
+// 📝 New community post with an optional image
+const createTweet = asyncHandler(async (req, res) => {
+  const { content } = req.body;
+
+  if (!content?.trim()) {
+    throw new ApiErrors(400, "Tweet content is required");
+  }
+
+  let image = null;
+
+  if (req.file?.path) {
+    image = await uploadFile(req.file.path, { folder: "tweets" });
+
+    if (!image?.url) {
+      throw new ApiErrors(400, "Error while uploading image");
+    }
+  }
+
+  const tweet = await Tweet.create({
+    content: content.trim(),
+    image: image?.url || "",
+    imageKey: image?.key ?? null,
+    owner: req.user?._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, tweet, "Tweet created successfully"));
+});
+
+//*************************************************User Tweets***************************************************************** */
+// 📃 Posts of one channel, newest first
+const getUserTweets = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiErrors(400, "Invalid user id");
+  }
+
+  const aggregate = Tweet.aggregate([
+    {
+      $match: {
+        owner: new mongoose.Types.ObjectId(userId),
+      },
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    ...userProfileLookup("owner"),
+    ...likeStats("Tweet", req.user),
+  ]);
+
+  const tweets = await Tweet.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, tweets, "Tweets fetched successfully"));
+});
+
+//*************************************************Subscription Feed***************************************************************** */
+// 📰 Posts from every channel the user follows
+// Cursor pagination: ?cursor=<nextCursor from previous page>&limit=20
+const getTweetFeed = asyncHandler(async (req, res) => {
+  const limit = getPaginationOptions(req.query, {
+    defaultLimit: 20,
+    maxLimit: MAX_FEED_LIMIT,
+  }).limit;
+
+  const channelIds = await subscription
+    .find({ subcribers: req.user?._id })
+    .distinct("channel");
+
+  const tweets = await Tweet.aggregate([
+    {
+      $match: {
+        owner: { $in: channelIds },
+        ...cursorMatch(req.query.cursor),
+      },
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    // one extra document tells us whether there is a next page
+    { $limit: limit + 1 },
+    ...userProfileLookup("owner"),
+    ...likeStats("Tweet", req.user),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        buildCursorPage(tweets, limit),
+        "Feed fetched successfully",
+      ),
+    );
+});
+
+//*************************************************Update Tweet***************************************************************** */
+// ✏️ Change the text and/or replace the image (owner only)
+const updateTweet = asyncHandler(async (req, res) => {
+  const { tweetId } = req.params;
+  const { content } = req.body;
+
+  const tweet = await findOwnedTweet(tweetId, req.user?._id);
+
+  if (content !== undefined) {
+    if (!content?.trim()) {
+      throw new ApiErrors(400, "Tweet content cannot be empty");
+    }
+    tweet.content = content.trim();
+  }
+
+  let oldImage = null;
+
+  if (req.file?.path) {
+    const image = await uploadFile(req.file.path, { folder: "tweets" });
+
+    if (!image?.url) {
+      throw new ApiErrors(400, "Error while uploading image");
+    }
+
+    oldImage = tweet.imageKey;
+    tweet.image = image.url;
+    tweet.imageKey = image.key;
+  }
+
+  await tweet.save();
+
+  // 🗑️ Remove the replaced image from storage
+  await deleteFile(oldImage);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, tweet, "Tweet updated successfully"));
+});
+
+//*************************************************Delete Tweet***************************************************************** */
+const deleteTweet = asyncHandler(async (req, res) => {
+  const { tweetId } = req.params;
+
+  const tweet = await findOwnedTweet(tweetId, req.user?._id);
+
+  await Tweet.findByIdAndDelete(tweet._id);
+  await Like.deleteMany({ targetType: "Tweet", target: tweet._id });
+  await Notification.deleteMany({ targetType: "Tweet", target: tweet._id });
+  await deleteFile(tweet.imageKey);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Tweet deleted successfully"));
+});
+
+export { createTweet, getUserTweets, getTweetFeed, updateTweet, deleteTweet };
@@ -0,0 +1,432 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiErrors from "../utils/ApiErrors.js";
+import { ApiResponse } from "../utils/ApiResopnse.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { Video } from "../models/video.model.js";
+import { TEMP_DIR, UPLOAD_RULES } from "../middlewares/multer.middleware.js";
+import { detectFileTypeFromPath } from "../utils/fileType.js";
+import {
+  createVideoFromUpload,
+  getUploadMessage,
+} from "../utils/videoUpload.js";
+import {
+  UPLOAD_SESSIONS_DIR,
+  RECOMMENDED_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  COMPLETED_SESSION_TTL_MS,
+  SUPPORTED_CHECKSUMS,
+  getUploadSessionTtlMs,
+  createPartName,
+  getPartPath,
+  parseChecksumHeader,
+  verifyChecksum,
+  discardUploadSession,
+} from "../utils/uploadSessions.js";
+
+// Resumable video uploads
+//
+//   POST   /upload-sessions                    → start a session { fileName, fileSize, mimeType, title, description }
+//   PATCH  /upload-sessions/:uploadId          → one chunk (Content-Type: application/offset+octet-stream)
+//                                                Upload-Offset: where the chunk starts
+//                                                Upload-Checksum: "sha256 <base64 digest>" (sha1 / md5 work too)
+//   GET    /upload-sessions/:uploadId          → current offset, to resume after a disconnect (HEAD works too)
+//   POST   /upload-sessions/:uploadId/complete → create the video (optional multipart thumbnail / duration)
+//   DELETE /upload-sessions/:uploadId          → abort
+//
+// Offsets / headers follow tus (https://tus.io) so its clients are easy to adapt.
+
+const MAX_ACTIVE_SESSIONS = 5;
+const CHUNK_LOCK_MS = 60 * 1000;
+
+// 🧾 Session as clients see it
+const serializeSession = (session) => ({
+  uploadId: session._id,
+  fileName: session.fileName,
+  fileSize: session.fileSize,
+  offset: session.offset,
+  status: session.status,
+  video: session.video,
+  chunkSize: RECOMMENDED_CHUNK_SIZE,
+  maxChunkSize: MAX_CHUNK_SIZE,
+  checksumAlgorithms: SUPPORTED_CHECKSUMS,
+  expiresAt: session.expiresAt,
+});
+
+const setOffsetHeaders = (res, session) => {
+  res.set({
+    "Upload-Offset": String(session.offset),
+    "Upload-Length": String(session.fileSize),
+    "Cache-Control": "no-store",
+  });
+};
+
+// 🔎 Find a session of the logged-in user (expired ones count as gone)
+const findOwnedSession = async (uploadId, userId) => {
+  if (!isValidObjectId(uploadId)) {
+    throw new ApiErrors(400, "Invalid upload id");
+  }
+
+  const session = await UploadSession.findOne({
+    _id: uploadId,
+    owner: userId,
+  });
+
+  if (!session) {
+    throw new ApiErrors(404, "Upload session not found");
+  }
+
+  if (session.expiresAt < new Date() && session.status !== "completing") {
+    await discardUploadSession(session);
+    throw new ApiErrors(410, "Upload session expired, please start again");
+  }
+
+  return session;
+};
+
+//*************************************************Create Session***************************************************************** */
+const createUploadSession = asyncHandler(async (req, res) => {
+  const { fileName, fileSize, mimeType, title, description } = req.body;
+  const size = Number(fileSize);
+
+  if (size > UPLOAD_RULES.videoFile.maxSize) {
+    throw new ApiErrors(413, "videoFile is too large", [
+      {
+        field: "fileSize",
+        message: `max size is ${Math.round(UPLOAD_RULES.videoFile.maxSize / (1024 * 1024))} MB`,
+      },
+    ]);
+  }
+
+  // 🚦 Part files take disk space — cap unfinished uploads per user
+  const activeSessions = await UploadSession.countDocuments({
+    owner: req.user._id,
+    status: { $ne: "completed" },
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (activeSessions >= MAX_ACTIVE_SESSIONS) {
+    throw new ApiErrors(
+      429,
+      "Too many unfinished uploads, complete or cancel one first",
+    );
+  }
+
+  const session = await UploadSession.create({
+    owner: req.user._id,
+    fileName,
+    fileSize: size,
+    mimeType,
+    title,
+    description,
+    partName: createPartName(),
+    expiresAt: new Date(Date.now() + getUploadSessionTtlMs()),
+  });
+
+  setOffsetHeaders(res, session);
+  res.set("Location", `${req.baseUrl}/${session._id}`);
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        serializeSession(session),
+        "Upload session created successfully",
+      ),
+    );
+});
+
+//*************************************************Get Offset***************************************************************** */
+// 🔁 After a disconnect: continue sending from `offset`
+const getUploadSession = asyncHandler(async (req, res) => {
+  const session = await findOwnedSession(req.params.uploadId, req.user._id);
+
+  setOffsetHeaders(res, session);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        serializeSession(session),
+        "Upload session fetched successfully",
+      ),
+    );
+});
+
+//*************************************************Upload Chunk***************************************************************** */
+const uploadChunk = asyncHandler(async (req, res) => {
+  const chunk = req.body;
+
+  if (!Buffer.isBuffer(chunk)) {
+    throw new ApiErrors(
+      415,
+      "Chunks must be sent as application/offset+octet-stream",
+    );
+  }
+
+  if (!chunk.length) {
+    throw new ApiErrors(400, "Chunk is empty");
+  }
+
+  const offsetHeader = req.get("Upload-Offset");
+  const offset = Number(offsetHeader);
+
+  if (!/^\d+$/.test(offsetHeader || "")) {
+    throw new ApiErrors(400, "Upload-Offset header is required");
+  }
+
+  const checksum = parseChecksumHeader(req.get("Upload-Checksum"));
+
+  if (!checksum) {
+    throw new ApiErrors(
+      400,
+      `Upload-Checksum header is required ("<algorithm> <base64 digest>", algorithm: ${SUPPORTED_CHECKSUMS.join(", ")})`,
+    );
+  }
+
+  const session = await findOwnedSession(req.params.uploadId, req.user._id);
+
+  if (session.status !== "active") {
+    throw new ApiErrors(409, "Upload is already complete");
+  }
+
+  // ❌ Client and server disagree about what arrived → client asks for the offset again
+  if (offset !== session.offset) {
+    setOffsetHeaders(res, session);
+    throw new ApiErrors(
+      409,
+      `Upload-Offset ${offset} doesn't match the current offset ${session.offset}`,
+    );
+  }
+
+  if (offset + chunk.length > session.fileSize) {
+    throw new ApiErrors(400, "Chunk goes past the declared file size");
+  }
+
+  // ❌ Corrupted on the way → nothing is written, the client sends it again
+  // (460 = "Checksum Mismatch" in tus)
+  if (!verifyChecksum(chunk, checksum)) {
+    throw new ApiErrors(460, "Checksum mismatch, please resend the chunk");
+  }
+
+  // 🔒 Only one chunk per offset may be written (two tabs, retried request, ...)
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + CHUNK_LOCK_MS);
+
+  const claimed = await UploadSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      status: "active",
+      offset,
+      $or: [{ chunkLockedUntil: null }, { chunkLockedUntil: { $lt: now } }],
+    },
+    { $set: { chunkLockedUntil: lockedUntil } },
+    { new: true },
+  );
+
+  if (!claimed) {
+    throw new ApiErrors(
+      409,
+      "Another chunk is being written, check the offset and try again",
+    );
+  }
+
+  try {
+    await fs.promises.mkdir(UPLOAD_SESSIONS_DIR, { recursive: true });
+
+    // ✏️ Write at the exact offset, so re-sending a chunk never duplicates data
+    const file = await fs.promises.open(
+      getPartPath(session),
+      offset === 0 ? "w" : "r+",
+    );
+
+    try {
+      await file.write(chunk, 0, chunk.length, offset);
+    } finally {
+      await file.close();
+    }
+  } catch (error) {
+    await UploadSession.updateOne(
+      { _id: session._id, chunkLockedUntil: lockedUntil },
+      { $set: { chunkLockedUntil: null } },
+    );
+
+    // the part file disappeared (swept / disk cleaned) → can't be resumed
+    if (error.code === "ENOENT") {
+      await discardUploadSession(session);
+      throw new ApiErrors(410, "Upload data was lost, please start again");
+    }
+
+    throw error;
+  }
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, chunkLockedUntil: lockedUntil },
+    {
+      $set: {
+        offset: offset + chunk.length,
+        chunkLockedUntil: null,
+        expiresAt: new Date(Date.now() + getUploadSessionTtlMs()),
+      },
+    },
+    { new: true },
+  );
+
+  if (!updated) {
+    throw new ApiErrors(409, "Chunk took too long, check the offset and retry");
+  }
+
+  setOffsetHeaders(res, updated);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, serializeSession(updated), "Chunk received"));
+});
+
+//*************************************************Complete Upload***************************************************************** */
+// ✅ All bytes arrived → verify the file and create the video
+// Optional multipart fields: thumbnail (file), duration
+const completeUploadSession = asyncHandler(async (req, res) => {
+  const { duration } = req.body || {};
+  const thumbnailLocalPath = req.file?.path;
+
+  const session = await findOwnedSession(req.params.uploadId, req.user._id);
+
+  // 🔁 Completing twice (e.g. the response got lost) returns the same video
+  if (session.status === "completed") {
+    const video = await Video.findById(session.video);
+
+    if (!video) {
+      throw new ApiErrors(404, "Video not found");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, video, "Upload already completed"));
+  }
+
+  if (session.offset < session.fileSize) {
+    setOffsetHeaders(res, session);
+    throw new ApiErrors(
+      409,
+      `Upload is incomplete: ${session.offset} of ${session.fileSize} bytes received`,
+    );
+  }
+
+  // 🔒 Claim the session, so a second request can't create a second video
+  const claimed = await UploadSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      status: "active",
+      offset: session.fileSize,
+      $or: [
+        { chunkLockedUntil: null },
+        { chunkLockedUntil: { $lt: new Date() } },
+      ],
+    },
+    {
+      $set: {
+        status: "completing",
+        expiresAt: new Date(Date.now() + getUploadSessionTtlMs()),
+      },
+    },
+    { new: true },
+  );
+
+  if (!claimed) {
+    throw new ApiErrors(409, "Upload is already being completed");
+  }
+
+  const partPath = getPartPath(claimed);
+
+  // 🔎 Same content check as a normal upload (the declared mimeType can't be trusted)
+  const detected = await detectFileTypeFromPath(partPath).catch(() => null);
+
+  if (!detected || !UPLOAD_RULES.videoFile.types.includes(detected.mime)) {
+    await discardUploadSession(claimed);
+    throw new ApiErrors(400, "Invalid file content for videoFile", [
+      {
+        field: "videoFile",
+        message: `allowed types: ${UPLOAD_RULES.videoFile.types.join(", ")}`,
+      },
+    ]);
+  }
+
+  // 📁 Hand a temp file to storage (named like multer's, so the temp sweeper knows it).
+  // A hard link keeps the part file, so a failed storage upload can be retried.
+  const tempPath = path.join(
+    TEMP_DIR,
+    `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${detected.ext}`,
+  );
+
+  let video;
+
+  try {
+    await fs.promises
+      .link(partPath, tempPath)
+      .catch(() => fs.promises.copyFile(partPath, tempPath));
+
+    video = await createVideoFromUpload({
+      owner: req.user._id,
+      title: claimed.title,
+      description: claimed.description,
+      duration,
+      videoLocalPath: tempPath,
+      thumbnailLocalPath,
+    });
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+
+    // ↩️ The data is still there → the client can call complete again
+    await UploadSession.updateOne(
+      { _id: claimed._id, status: "completing" },
+      { $set: { status: "active" } },
+    );
+
+    throw error;
+  }
+
+  await UploadSession.updateOne(
+    { _id: claimed._id },
+    {
+      $set: {
+        status: "completed",
+        video: video._id,
+        expiresAt: new Date(Date.now() + COMPLETED_SESSION_TTL_MS),
+      },
+    },
+  );
+  await fs.promises.unlink(partPath).catch(() => {});
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, video, getUploadMessage(video)));
+});
+
+//*************************************************Cancel Upload***************************************************************** */
+const cancelUploadSession = asyncHandler(async (req, res) => {
+  const session = await findOwnedSession(req.params.uploadId, req.user._id);
+
+  if (session.status === "completing") {
+    throw new ApiErrors(409, "Upload is being completed");
+  }
+
+  await discardUploadSession(session);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Upload session cancelled successfully"));
+});
+
+export {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUploadSession,
+  cancelUploadSession,
+};
@@ -1,32 +1,64 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import ApiErrors from "../utils/ApiErrors.js";
 import { User } from "../models/user.model.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { Session } from "../models/session.model.js";
+import { uploadFile, deleteFile } from "../utils/storage/index.js";
 import { ApiResponse } from "../utils/ApiResopnse.js";
 import jwt from "jsonwebtoken";
-
-// Function to generate both Access Token and Refresh Token for a user
-const generateAccessTokenAndRefreshToken = async (userId) => {
+import mongoose, { isValidObjectId } from "mongoose";
+import { getPaginationOptions } from "../utils/pagination.js";
+import {
+  userProfileLookup,
+  visibleVideosMatch,
+} from "../utils/aggregations.js";
+import { sendEmail } from "../utils/mailer/index.js";
+import {
+  emailVerificationMail,
+  passwordResetMail,
+} from "../utils/mailer/templates.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  isTwoFactorConfigured,
+  encryptSecret,
+  decryptSecret,
+} from "../utils/totp.js";
+
+const EMAIL_VERIFICATION_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_EXPIRY = 20 * 60 * 1000; // 20 minutes
+const TWO_FACTOR_CHALLENGE_EXPIRY = "5m";
+
+// ⏱️ Read the expiry time out of a signed JWT
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Function to start a new device session and generate its Access Token and Refresh Token
+const generateAccessTokenAndRefreshToken = async (userId, req) => {
   try {
     // 👤 Find the user in database using userId
     const user = await User.findById(userId);
 
+    // 📱 New session for this device (one per login)
+    const session = new Session({
+      user: user._id,
+      userAgent: req.get("user-agent") || "",
+      ip: req.ip || "",
+    });
+
     // 🔑 Create Access Token (short-lived, used for API requests)
-    const accessToken = user.generateAccessToken();
+    const accessToken = user.generateAccessToken(session._id);
 
     // 🔄 Create Refresh Token (long-lived, used to get new access token)
-    const refreshToken = user.generateRefreshToken();
+    const refreshToken = user.generateRefreshToken(session._id);
 
-    // 💾 Save refresh token in database
-    // This helps to verify it later and allows logout from all devices
-    user.refreshToken = refreshToken;
-
-    // ⚡ Save user without running validations
-    // (because we are only updating refreshToken field)
-    await user.save({ validateBeforeSave: false });
+    // 💾 Save only a hash of the refresh token in the session
+    // This helps to verify it later and allows logout per device / from all devices
+    session.tokenHash = Session.hashToken(refreshToken);
+    session.expiresAt = getTokenExpiry(refreshToken);
+    await session.save();
 
     // ✅ Return both tokens
-    return { accessToken, refreshToken };
+    return { accessToken, refreshToken, sessionId: session._id };
   } catch (error) {
     // ❌ If anything goes wrong → throw server error
     console.log(error); // 👈 ADD THIS
@@ -34,6 +66,99 @@ const generateAccessTokenAndRefreshToken = async (userId) => {
   }
 };
 
+// 🎫 Start a session for a user who passed every login check
+// Sends both tokens as cookies and in the body
+const sendLoginResponse = async (req, res, userId) => {
+  // 🎫 Generate Access Token + Refresh Token for authenticated user
+  const { accessToken, refreshToken } =
+    await generateAccessTokenAndRefreshToken(userId, req);
+
+  // 👤 Get safe user data (exclude sensitive fields)
+  const LoggedInUser = await User.findById(userId).select(
+    "-password -refreshToken",
+  );
+
+  // 🍪 Cookie options for security
+  const options = {
+    httpOnly: true, // Prevents JavaScript access (protects from XSS)
+    secure: true, // Cookie sent only over HTTPS
+  };
+
+  // ✅ Send tokens in cookies + send response
+  return (
+    res
+      .status(200)
+
+      // Store Access Token in browser cookie
+      .cookie("accessToken", accessToken, options)
+
+      // Store Refresh Token in browser cookie
+      .cookie("refreshToken", refreshToken, options)
+
+      // Send success response with user data and tokens
+      .json(
+        new ApiResponse(
+          200,
+          {
+            user: LoggedInUser,
+            accessToken,
+            refreshToken,
+          },
+          "user logged in successfully",
+        ),
+      )
+  );
+};
+
+// 🧩 Short-lived token proving the password was correct, exchanged at /login/2fa
+// Signed with its own secret so it can never pass as an access token
+const getTwoFactorChallengeSecret = () =>
+  process.env.TWO_FACTOR_CHALLENGE_SECRET ||
+  `${process.env.ACCESS_TOKEN_SECRET}:2fa-challenge`;
+
+const generateTwoFactorChallenge = (user) =>
+  jwt.sign({ _id: user._id, purpose: "2fa" }, getTwoFactorChallengeSecret(), {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY,
+  });
+
+// 🔗 Frontend base url for links in emails
+// Never taken from the request: a forged Host header would put a real token
+// into a link to someone else's site.
+const getClientUrl = () => {
+  if (!process.env.CLIENT_URL) {
+    throw new ApiErrors(500, "CLIENT_URL is not configured");
+  }
+
+  return process.env.CLIENT_URL.replace(/\/$/, "");
+};
+
+const buildClientUrl = (pathname, token) =>
+  `${getClientUrl()}${pathname}?token=${token}`;
+
+// 📧 Create a new email verification token for the user and email the link
+const sendVerificationEmail = async (user) => {
+  const { unHashedToken, hashedToken, tokenExpiry } =
+    User.generateTemporaryToken(EMAIL_VERIFICATION_EXPIRY);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        emailVerificationToken: hashedToken,
+        emailVerificationExpiry: tokenExpiry,
+      },
+    },
+  );
+
+  await sendEmail({
+    to: user.email,
+    ...emailVerificationMail(
+      user.username,
+      buildClientUrl("/verify-email", unHashedToken),
+    ),
+  });
+};
+
 //*************************************************Register Controller***************************************************************** */
 // 📝 Register User Controller (Create new account)
 const registerUser = asyncHandler(async (req, res) => {
@@ -68,11 +193,13 @@ const registerUser = asyncHandler(async (req, res) => {
   console.log("Avatar:", avatarLocalPath);
   console.log("Cover:", coverImageLocalPath);
 
-  // ☁️ Upload avatar to Cloudinary (required)
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  // ☁️ Upload avatar to storage (required)
+  const avatar = await uploadFile(avatarLocalPath, { folder: "avatars" });
 
-  // ☁️ Upload cover image to Cloudinary (optional)
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+  // ☁️ Upload cover image to storage (optional)
+  const coverImage = await uploadFile(coverImageLocalPath, {
+    folder: "covers",
+  });
 
   // ❌ If avatar upload fails → stop registration
   if (!avatar) {
@@ -83,7 +210,9 @@ const registerUser = asyncHandler(async (req, res) => {
   const user = await User.create({
     fullname,
     avatar: avatar.url, // store avatar URL
+    avatarKey: avatar.key, // to delete it later
     coverImage: coverImage?.url || "", // optional
+    coverImageKey: coverImage?.key ?? null,
     email,
     password, // will be hashed in model
     username: username.toLowerCase(), // normalize username
@@ -99,6 +228,14 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiErrors(500, "User registration failed");
   }
 
+  // 📧 Send email verification link
+  // A mail failure should not undo the registration (user can ask for a new link)
+  try {
+    await sendVerificationEmail(createdUser);
+  } catch (error) {
+    console.log("Verification email error:", error);
+  }
+
   // ✅ Send success response
   return res
     .status(201)
@@ -120,77 +257,67 @@ const LoginUser = asyncHandler(async (req, res) => {
   // 🔎 Find user in database using username OR email
   const user = await User.findOne({
     $or: [{ username }, { email }],
-  });
-
-  // ❌ If user not found → account does not exist
-  if (!user) {
-    throw new ApiErrors(404, "user does not exists");
-  }
+  }).select("+failedLoginAttempts +lockUntil");
 
   // 🔑 Verify password (compare entered password with stored hashed password)
-  const isPasswordCorrect = await user.isPasswordCorrect(password);
-
-  // ❌ If password is wrong → deny login
-  if (!isPasswordCorrect) {
-    throw new ApiErrors(401, "invalid password");
+  // Unknown users go through the same bcrypt work, so timing gives nothing away
+  const isPasswordCorrect = user
+    ? await user.isPasswordCorrect(password)
+    : await User.comparePasswordWithoutUser(password);
+
+  // 🔒 Too many wrong passwords → blocked until lockUntil (even with the right one)
+  const isLocked = user?.lockUntil > new Date();
+
+  // ❌ Unknown user, wrong password and locked account get the same answer,
+  // so the login form can't be used to find out which accounts exist
+  if (!isPasswordCorrect || isLocked) {
+    if (user && !isLocked) {
+      await User.registerFailedLogin(user._id);
+    }
+    throw new ApiErrors(401, "Invalid credentials");
   }
 
-  // 🎫 Generate Access Token + Refresh Token for authenticated user
-  const { accessToken, refreshToken } =
-    await generateAccessTokenAndRefreshToken(user._id);
-
-  // 👤 Get safe user data (exclude sensitive fields)
-  const LoggedInUser = await User.findById(user._id).select(
-    "-password -refreshToken",
-  );
-
-  // 🍪 Cookie options for security
-  const options = {
-    httpOnly: true, // Prevents JavaScript access (protects from XSS)
-    secure: true, // Cookie sent only over HTTPS
-  };
+  // 🚫 Banned accounts cannot log in
+  if (user.isBanned) {
+    throw new ApiErrors(403, "This account has been banned");
+  }
 
-  // ✅ Send tokens in cookies + send response
-  return (
-    res
-      .status(200)
+  // 📧 Optionally block login until the email is verified
+  if (
+    process.env.REQUIRE_EMAIL_VERIFICATION === "true" &&
+    !user.isEmailVerified
+  ) {
+    throw new ApiErrors(403, "please verify your email before logging in");
+  }
 
-      // Store Access Token in browser cookie
-      .cookie("accessToken", accessToken, options)
+  // 🔐 2FA on → the password alone is not enough, ask for a code first
+  // (failed attempts are only reset once the code is right too,
+  // otherwise re-entering the password would reset a code-guessing lockout)
+  if (user.twoFactorEnabled) {
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user),
+        },
+        "two-factor code required",
+      ),
+    );
+  }
 
-      // Store Refresh Token in browser cookie
-      .cookie("refreshToken", refreshToken, options)
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await User.resetFailedLogins(user._id);
+  }
 
-      // Send success response with user data and tokens
-      .json(
-        new ApiResponse(
-          200,
-          {
-            user: LoggedInUser,
-            accessToken,
-            refreshToken,
-          },
-          "user logged in successfully",
-        ),
-      )
-  );
+  return await sendLoginResponse(req, res, user._id);
 });
 
 //*************************************************Loggout Controller**************************************************************
 const LoggedOutUser = asyncHandler(async (req, res) => {
-  // 🔎 Find the logged-in user by ID (comes from auth middleware)
-  // and remove the stored refresh token from database
-  await User.findByIdAndUpdate(
-    req.user._id,
-    {
-      $set: {
-        refreshToken: undefined, // ❌ Invalidate refresh token (user cannot get new access tokens)
-      },
-    },
-    {
-      new: true, // 👉 Return updated document (not strictly needed here)
-    },
-  );
+  // 🔎 Revoke the session of this device (session id comes from auth middleware)
+  // ❌ Its refresh token can no longer be used to get new access tokens
+  await Session.revoke({ _id: req.sessionId, user: req.user._id }, "logout");
 
   // 🍪 Cookie options — must match options used while setting cookies
   const options = {
@@ -211,7 +338,7 @@ const LoggedOutUser = asyncHandler(async (req, res) => {
 const refreshAccessToken = asyncHandler(async (req, res) => {
   // 🔹 Get refresh token from cookies or request body
   const incomingRefreshToken =
-    req.cookies.refreshToken || req.body.refreshToken;
+    req.cookies?.refreshToken || req.body?.refreshToken;
 
   // ❌ Check: token must exist
   if (!incomingRefreshToken) {
@@ -232,8 +359,12 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
       throw new ApiErrors(401, "invalid refresh token");
     }
 
-    // 🔹 Make sure the token matches the one saved in DB
-    if (incomingRefreshToken !== user?.refreshToken) {
+    // 🔹 Find the device session this token belongs to
+    const session =
+      decodeToken.sid &&
+      (await Session.findOne({ _id: decodeToken.sid, user: user._id }));
+
+    if (!session || session.revokedAt) {
       throw new ApiErrors(401, "refresh token is expired or invalid");
     }
 
@@ -242,9 +373,36 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
       secure: true, // 🔒 Only sent over HTTPS
     };
 
-    // 🔹 Generate new access token and refresh token
-    const { accessToken, newRefreshToken } =
-      await generateAccessTokenAndRefreshToken(user?._id);
+    // 🔹 Rotate: issue a new refresh token and swap the stored hash atomically
+    // The swap only succeeds if the incoming token is the CURRENT one
+    const newRefreshToken = user.generateRefreshToken(session._id);
+
+    const rotated = await Session.findOneAndUpdate(
+      {
+        _id: session._id,
+        tokenHash: Session.hashToken(incomingRefreshToken),
+        revokedAt: null,
+      },
+      {
+        $set: {
+          tokenHash: Session.hashToken(newRefreshToken),
+          expiresAt: getTokenExpiry(newRefreshToken),
+          lastUsedAt: new Date(),
+          userAgent: req.get("user-agent") || session.userAgent,
+          ip: req.ip || session.ip,
+        },
+      },
+      { new: true },
+    );
+
+    // 🚨 Old (already rotated) token was used again → it was probably stolen
+    // Revoke the whole token family (= this session) so neither copy works anymore
+    if (!rotated) {
+      await Session.revoke({ _id: session._id }, "refresh token reuse");
+      throw new ApiErrors(401, "refresh token reuse detected, session revoked");
+    }
+
+    const accessToken = user.generateAccessToken(session._id);
 
     // 🔹 Send new tokens in cookies and response
     return res
@@ -338,6 +496,8 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
       $set: {
         fullname: fullname, // 🔹 Update fullname
         email: email, // 🔹 Update email
+        // 📧 A new email address has to be verified again
+        ...(email !== req.user?.email && { isEmailVerified: false }),
       },
     },
 
@@ -367,12 +527,12 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     throw new ApiErrors(400, "Avatar file is missing");
   }
 
-  // 3️⃣ Upload the image from local storage to Cloudinary
+  // 3️⃣ Upload the image from local storage to the storage provider
   // This returns an object containing image URL and metadata
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  const avatar = await uploadFile(avatarLocalPath, { folder: "avatars" });
 
-  // 4️⃣ Ensure Cloudinary upload was successful
-  if (!avatar.url) {
+  // 4️⃣ Ensure upload was successful
+  if (!avatar?.url) {
     throw new ApiErrors(400, "Error while uploading on avatar");
   }
 
@@ -382,12 +542,18 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     req.user?._id,
     {
       $set: {
-        avatar: avatar.url, // Save Cloudinary image URL
+        avatar: avatar.url, // Save stored image URL
+        avatarKey: avatar.key,
       },
     },
     { new: true }, // Return updated document instead of old one
   ).select("-password"); // Exclude password field from response
 
+  // 🗑️ Remove the old avatar from storage (req.user still holds the previous key)
+  if (req.user?.avatarKey && req.user.avatarKey !== avatar.key) {
+    await deleteFile(req.user.avatarKey);
+  }
+
   // 6️⃣ Send success response with updated user data
   return res
     .status(200)
@@ -405,12 +571,14 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     throw new ApiErrors(400, "Cover image file is missing");
   }
 
-  // 3️⃣ Upload image to Cloudinary (cloud storage)
-  // Returns object containing secure URL and metadata
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+  // 3️⃣ Upload image to the storage provider
+  // Returns object containing URL and metadata
+  const coverImage = await uploadFile(coverImageLocalPath, {
+    folder: "covers",
+  });
 
   // 4️⃣ Ensure upload succeeded
-  if (!coverImage.url) {
+  if (!coverImage?.url) {
     throw new ApiErrors(400, "Error while uploading cover image");
   }
 
@@ -420,12 +588,18 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     req.user?._id,
     {
       $set: {
-        coverImage: coverImage.url, // Save Cloudinary URL
+        coverImage: coverImage.url, // Save stored image URL
+        coverImageKey: coverImage.key,
       },
     },
     { new: true }, // Return updated document
   ).select("-password"); // Exclude sensitive data
 
+  // 🗑️ Remove the old cover image from storage
+  if (req.user?.coverImageKey && req.user.coverImageKey !== coverImage.key) {
+    await deleteFile(req.user.coverImageKey);
+  }
+
   // 6️⃣ Send success response with updated user info
   return res
     .status(200)
@@ -438,6 +612,607 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     );
 });
 
+// ************************ GET CHANNEL PROFILE ************************
+// Public profile of a channel: subscriber counts + whether the viewer is subscribed
+
+const getUserChannelProfile = asyncHandler(async (req, res) => {
+  // 🔹 Channel username comes from the URL (/users/c/:username)
+  const { username } = req.params;
+
+  if (!username?.trim()) {
+    throw new ApiErrors(400, "username is missing");
+  }
+
+  const channel = await User.aggregate([
+    // 1️⃣ Find the channel owner
+    {
+      $match: {
+        username: username.toLowerCase(),
+      },
+    },
+    // 2️⃣ Everyone who subscribed TO this channel
+    {
+      $lookup: {
+        from: "subscriptions",
+        localField: "_id",
+        foreignField: "channel",
+        as: "subscribers",
+      },
+    },
+    // 3️⃣ Every channel this user subscribed to
+    {
+      $lookup: {
+        from: "subscriptions",
+        localField: "_id",
+        foreignField: "subcribers",
+        as: "subscribedTo",
+      },
+    },
+    // 4️⃣ Count them and check if the viewer is one of the subscribers
+    {
+      $addFields: {
+        subscribersCount: { $size: "$subscribers" },
+        channelsSubscribedToCount: { $size: "$subscribedTo" },
+        isSubscribed: {
+          $in: [req.user?._id, "$subscribers.subcribers"],
+        },
+      },
+    },
+    // 5️⃣ Only send public fields
+    {
+      $project: {
+        fullname: 1,
+        username: 1,
+        avatar: 1,
+        coverImage: 1,
+        subscribersCount: 1,
+        channelsSubscribedToCount: 1,
+        isSubscribed: 1,
+        createdAt: 1,
+      },
+    },
+  ]);
+
+  // ❌ No user with this username
+  if (!channel?.length) {
+    throw new ApiErrors(404, "channel does not exists");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, channel[0], "User channel fetched successfully"),
+    );
+});
+
+// ************************ WATCH HISTORY ************************
+// Videos the logged-in user watched, newest first, with each owner's profile
+
+const getWatchHistory = asyncHandler(async (req, res) => {
+  const userId = new mongoose.Types.ObjectId(req.user?._id);
+
+  const aggregate = User.aggregate([
+    // 1️⃣ Only the logged-in user
+    {
+      $match: {
+        _id: userId,
+      },
+    },
+    // 2️⃣ One document per history entry, remembering its position (0 = newest)
+    {
+      $unwind: {
+        path: "$watchHistory",
+        includeArrayIndex: "position",
+      },
+    },
+    // 3️⃣ Join the video + its owner (deleted / unpublished videos drop out here)
+    {
+      $lookup: {
+        from: "videos",
+        localField: "watchHistory",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          {
+            $match: visibleVideosMatch(req.user),
+          },
+          ...userProfileLookup("owner"),
+        ],
+      },
+    },
+    {
+      $unwind: "$video",
+    },
+    // 4️⃣ Keep history order and return plain video documents
+    {
+      $sort: {
+        position: 1,
+      },
+    },
+    {
+      $replaceRoot: {
+        newRoot: "$video",
+      },
+    },
+  ]);
+
+  const history = await User.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, history, "Watch history fetched successfully"));
+});
+
+// 🗑️ Remove a single video from the watch history
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiErrors(400, "Invalid video id");
+  }
+
+  await User.updateOne(
+    { _id: req.user?._id },
+    {
+      $pull: {
+        watchHistory: new mongoose.Types.ObjectId(videoId),
+      },
+    },
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video removed from watch history"));
+});
+
+// 🧹 Clear the whole watch history
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  await User.updateOne(
+    { _id: req.user?._id },
+    {
+      $set: {
+        watchHistory: [],
+      },
+    },
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Watch history cleared successfully"));
+});
+
+// ⏸️ Pause / resume recording of the watch history
+const toggleWatchHistoryPause = asyncHandler(async (req, res) => {
+  const user = await User.findByIdAndUpdate(
+    req.user?._id,
+    [
+      {
+        $set: {
+          watchHistoryPaused: {
+            $not: [{ $eq: ["$watchHistoryPaused", true] }],
+          },
+        },
+      },
+    ],
+    { new: true, updatePipeline: true },
+  ).select("watchHistoryPaused");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { watchHistoryPaused: user.watchHistoryPaused },
+        user.watchHistoryPaused
+          ? "Watch history paused"
+          : "Watch history resumed",
+      ),
+    );
+});
+
+// ************************ DEVICE SESSIONS ************************
+// Every login creates one session (see generateAccessTokenAndRefreshToken)
+
+// 📱 List the logged-in user's active sessions
+const getActiveSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user?._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip lastUsedAt createdAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  // 🔹 Mark the session making this request
+  const data = sessions.map((session) => ({
+    ...session,
+    isCurrent: session._id.toString() === req.sessionId?.toString(),
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Active sessions fetched successfully"));
+});
+
+// 🚪 Revoke one session (log out a single device)
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw new ApiErrors(400, "Invalid session id");
+  }
+
+  const result = await Session.revoke(
+    { _id: sessionId, user: req.user?._id },
+    "revoked by user",
+  );
+
+  if (!result.modifiedCount) {
+    throw new ApiErrors(404, "Session not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked successfully"));
+});
+
+// 🚪🚪 Log out everywhere (revoke every session of the user, including this one)
+const logoutAllDevices = asyncHandler(async (req, res) => {
+  await Session.revoke({ user: req.user?._id }, "logout all");
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(new ApiResponse(200, {}, "Logged out from all devices"));
+});
+
+// ************************ EMAIL VERIFICATION ************************
+
+// 📧 Send a new verification link to the logged-in user
+const requestEmailVerification = asyncHandler(async (req, res) => {
+  if (req.user?.isEmailVerified) {
+    throw new ApiErrors(400, "Email is already verified");
+  }
+
+  await sendVerificationEmail(req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent"));
+});
+
+// ✅ Confirm the email with the token from the link
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  // 🔹 Find + consume the token in one step, so it can only be used once
+  const user = await User.findOneAndUpdate(
+    {
+      emailVerificationToken: User.hashTemporaryToken(token),
+      emailVerificationExpiry: { $gt: new Date() },
+    },
+    {
+      $set: { isEmailVerified: true },
+      $unset: { emailVerificationToken: 1, emailVerificationExpiry: 1 },
+    },
+    { new: true },
+  ).select("-password -refreshToken");
+
+  if (!user) {
+    throw new ApiErrors(400, "Verification token is invalid or expired");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isEmailVerified: true },
+        "Email verified successfully",
+      ),
+    );
+});
+
+// ************************ PASSWORD RESET ************************
+
+// 📧 Store a fresh reset token and mail the link
+const sendPasswordResetEmail = async (user) => {
+  const { unHashedToken, hashedToken, tokenExpiry } =
+    User.generateTemporaryToken(PASSWORD_RESET_EXPIRY);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        passwordResetToken: hashedToken,
+        passwordResetExpiry: tokenExpiry,
+      },
+    },
+  );
+
+  await sendEmail({
+    to: user.email,
+    ...passwordResetMail(
+      user.username,
+      buildClientUrl("/reset-password", unHashedToken),
+    ),
+  });
+};
+
+// 📧 Email a password reset link
+// Always answers the same way so it can't be used to check which emails exist:
+// the mail goes out in the background, so neither its delay nor a mail error
+// reaches the response.
+const forgotPasswordRequest = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  // ❌ No link can be built → fail for every email alike
+  getClientUrl();
+
+  const user = await User.findOne({ email });
+
+  if (user) {
+    sendPasswordResetEmail(user).catch((error) => {
+      console.log("Password reset email error:", error);
+    });
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "If an account exists for this email, a reset link has been sent",
+      ),
+    );
+});
+
+// 🔑 Set a new password using the token from the reset link
+const resetForgottenPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  // 🔹 Consume the token atomically (single use)
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetToken: User.hashTemporaryToken(token),
+      passwordResetExpiry: { $gt: new Date() },
+    },
+    {
+      $unset: { passwordResetToken: 1, passwordResetExpiry: 1 },
+    },
+  );
+
+  if (!user) {
+    throw new ApiErrors(400, "Reset token is invalid or expired");
+  }
+
+  // 🔹 Hashed by the pre("save") hook
+  user.password = newPassword;
+  // 📧 The user proved they own the email by opening the link
+  user.isEmailVerified = true;
+  await user.save({ validateBeforeSave: false });
+
+  // 🚪 Log out every device that used the old password
+  await Session.revoke({ user: user._id }, "password reset");
+
+  // 🔓 A new password also lifts any login lockout
+  await User.resetFailedLogins(user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password reset successfully"));
+});
+
+//*************************************************Two-Factor Authentication***************************************************************** */
+// 1️⃣ Start enrollment → secret + otpauth:// link for the authenticator app (QR code)
+// Nothing changes for login until the first code is confirmed.
+const enrollTwoFactor = asyncHandler(async (req, res) => {
+  // 🔐 No key to encrypt the secret with → 2FA is switched off on this server
+  if (!isTwoFactorConfigured()) {
+    throw new ApiErrors(503, "Two-factor authentication is not available");
+  }
+
+  if (req.user.twoFactorEnabled) {
+    throw new ApiErrors(409, "Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { twoFactorPendingSecret: encryptSecret(secret) } },
+  );
+
+  const otpauthUrl = buildOtpauthUrl({
+    secret,
+    accountName: req.user.email || req.user.username,
+    issuer: process.env.TWO_FACTOR_ISSUER || "VideoTube",
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { secret, otpauthUrl },
+        "Scan the code and confirm it with a first code",
+      ),
+    );
+});
+
+// 2️⃣ Confirm with the first code → 2FA is on, recovery codes are shown once
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactorPendingSecret",
+  );
+
+  if (user.twoFactorEnabled) {
+    throw new ApiErrors(409, "Two-factor authentication is already enabled");
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    throw new ApiErrors(400, "Start two-factor enrollment first");
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorPendingSecret), code);
+
+  if (step === null) {
+    throw new ApiErrors(400, "Invalid two-factor code");
+  }
+
+  const { codes, hashedCodes } = User.generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorRecoveryCodes: hashedCodes,
+        twoFactorLastUsedStep: step,
+      },
+      $unset: { twoFactorPendingSecret: 1 },
+    },
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes: codes },
+        "Two-factor authentication enabled, store the recovery codes somewhere safe",
+      ),
+    );
+});
+
+// 🔕 Turn 2FA off — needs the current password
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const user = await User.findById(req.user._id);
+
+  if (!user.twoFactorEnabled) {
+    throw new ApiErrors(400, "Two-factor authentication is not enabled");
+  }
+
+  if (!(await user.isPasswordCorrect(password))) {
+    throw new ApiErrors(400, "invalid password");
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { twoFactorEnabled: false },
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastUsedStep: 1,
+      },
+    },
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Two-factor authentication disabled"));
+});
+
+// 🔐 Second login step: challenge token from /login + a TOTP or recovery code
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let decodedToken;
+
+  try {
+    decodedToken = jwt.verify(challengeToken, getTwoFactorChallengeSecret());
+  } catch (error) {
+    throw new ApiErrors(401, "Login challenge is invalid or expired");
+  }
+
+  const user =
+    decodedToken.purpose === "2fa" &&
+    (await User.findById(decodedToken._id).select(
+      "+twoFactorSecret +twoFactorLastUsedStep +failedLoginAttempts +lockUntil",
+    ));
+
+  if (!user || !user.twoFactorEnabled) {
+    throw new ApiErrors(401, "Login challenge is invalid or expired");
+  }
+
+  if (user.isBanned) {
+    throw new ApiErrors(403, "This account has been banned");
+  }
+
+  // 🔒 Wrong codes count towards the same lockout as wrong passwords.
+  // A locked account goes through the same check but never gets a code
+  // accepted (nor used up), and gets the same answer as a wrong code.
+  const isLocked = user.lockUntil > new Date();
+  const notLocked = {
+    $or: [{ lockUntil: null }, { lockUntil: { $lte: new Date() } }],
+  };
+
+  let accepted = false;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+
+    // ♻️ Remember the step atomically → the same code can't log in twice
+    if (step !== null) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $and: [
+            notLocked,
+            {
+              $or: [
+                { twoFactorLastUsedStep: { $lt: step } },
+                { twoFactorLastUsedStep: { $exists: false } },
+              ],
+            },
+          ],
+        },
+        { $set: { twoFactorLastUsedStep: step } },
+      );
+      accepted = result.modifiedCount === 1;
+    }
+  } else {
+    // 🆘 Each recovery code works once: pulling it is the check
+    const hashedCode = User.hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hashedCode, ...notLocked },
+      { $pull: { twoFactorRecoveryCodes: hashedCode } },
+    );
+    accepted = result.modifiedCount === 1;
+  }
+
+  if (!accepted) {
+    if (!isLocked) {
+      await User.registerFailedLogin(user._id);
+    }
+    throw new ApiErrors(401, "Invalid two-factor code");
+  }
+
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await User.resetFailedLogins(user._id);
+  }
+
+  return await sendLoginResponse(req, res, user._id);
+});
+
 export {
   registerUser,
   LoginUser,
@@ -448,4 +1223,20 @@ export {
   updateAccountDetails,
   updateUserAvatar,
   updateUserCoverImage,
+  getUserChannelProfile,
+  getWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  toggleWatchHistoryPause,
+  getActiveSessions,
+  revokeSession,
+  logoutAllDevices,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPasswordRequest,
+  resetForgottenPassword,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  verifyTwoFactorLogin,
 };
@@ -0,0 +1,545 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiErrors from "../utils/ApiErrors.js";
+import { ApiResponse } from "../utils/ApiResopnse.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { uploadFile, deleteFile } from "../utils/storage/index.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { recordView } from "../utils/viewCounter.js";
+import { deleteVideoWithRelatedData } from "../utils/contentCleanup.js";
+import { recommendRelated } from "../utils/recommendations/index.js";
+import { notifySubscribersOfUpload } from "../utils/notifications/index.js";
+import {
+  createVideoFromUpload,
+  getUploadMessage,
+} from "../utils/videoUpload.js";
+import {
+  isVideoProcessingEnabled,
+  enqueueVideoProcessing,
+} from "../utils/videoProcessing/index.js";
+import {
+  userProfileLookup,
+  visibleVideosMatch,
+  likeStats,
+} from "../utils/aggregations.js";
+
+// Fields a client is allowed to sort the video list by
+const SORTABLE_FIELDS = ["createdAt", "views", "duration", "title"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Search sort options
+const SEARCH_SORTS = {
+  relevance: { relevance: -1, views: -1, _id: -1 },
+  views: { views: -1, _id: -1 },
+  date: { createdAt: -1, _id: -1 },
+};
+
+// Search facets: duration buckets (seconds, lower bound inclusive)
+const DURATION_BUCKETS = [
+  { label: "short", min: 0 }, // under 4 minutes
+  { label: "medium", min: 4 * 60 }, // 4 - 20 minutes
+  { label: "long", min: 20 * 60 }, // over 20 minutes
+];
+
+// Search facets: upload date buckets (non-overlapping, oldest first)
+const UPLOAD_DATE_BUCKETS = [
+  { label: "older", maxAgeMs: null },
+  { label: "thisYear", maxAgeMs: 365 * DAY },
+  { label: "thisMonth", maxAgeMs: 30 * DAY },
+  { label: "thisWeek", maxAgeMs: 7 * DAY },
+  { label: "today", maxAgeMs: DAY },
+];
+
+// 🔎 Find a video and make sure the logged-in user owns it
+// Used by every owner-only controller (update / delete / toggle publish)
+const findOwnedVideo = async (videoId, userId) => {
+  if (!isValidObjectId(videoId)) {
+    throw new ApiErrors(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new ApiErrors(404, "Video not found");
+  }
+
+  // ❌ Only the owner can change the video
+  if (video.owner?.toString() !== userId?.toString()) {
+    throw new ApiErrors(403, "You are not allowed to modify this video");
+  }
+
+  return video;
+};
+
+//*************************************************Get All Videos***************************************************************** */
+// 📃 List videos with pagination, owner / text filters and sorting
+const getAllVideos = asyncHandler(async (req, res) => {
+  const { query, sortBy = "createdAt", sortType = "desc", userId } = req.query;
+
+  const filters = [visibleVideosMatch(req.user)];
+
+  // 👤 Filter by channel / owner
+  if (userId) {
+    if (!isValidObjectId(userId)) {
+      throw new ApiErrors(400, "Invalid user id");
+    }
+    filters.push({ owner: new mongoose.Types.ObjectId(userId) });
+  }
+
+  // 🔤 Filter by text in title or description
+  if (query?.trim()) {
+    const escaped = query.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    filters.push({
+      $or: [
+        { title: { $regex: escaped, $options: "i" } },
+        { description: { $regex: escaped, $options: "i" } },
+      ],
+    });
+  }
+
+  // ❌ Only allow sorting on known fields
+  if (!SORTABLE_FIELDS.includes(sortBy)) {
+    throw new ApiErrors(
+      400,
+      `sortBy must be one of: ${SORTABLE_FIELDS.join(", ")}`,
+    );
+  }
+
+  const aggregate = Video.aggregate([
+    { $match: { $and: filters } },
+    { $sort: { [sortBy]: sortType === "asc" ? 1 : -1, _id: -1 } },
+    ...userProfileLookup("owner"),
+    ...likeStats("Video", req.user),
+  ]);
+
+  const videos = await Video.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
+
+//*************************************************Publish Video***************************************************************** */
+// 📤 Upload a new video (video file + optional thumbnail) and queue it for processing
+// It becomes public (if published) once processing is ready.
+const publishAVideo = asyncHandler(async (req, res) => {
+  const { title, description, duration } = req.body;
+
+  // ❌ Validate input
+  if ([title, description].some((f) => !f || f.trim() === "")) {
+    throw new ApiErrors(400, "Title and description are required");
+  }
+
+  // 📁 Get uploaded file paths from multer
+  const videoLocalPath = req.files?.videoFile?.[0]?.path;
+  const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
+
+  if (!videoLocalPath) {
+    throw new ApiErrors(400, "Video file is required");
+  }
+
+  const video = await createVideoFromUpload({
+    owner: req.user?._id,
+    title,
+    description,
+    duration,
+    videoLocalPath,
+    thumbnailLocalPath,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, video, getUploadMessage(video)));
+});
+
+//*************************************************Search Videos***************************************************************** */
+// 🔍 Full-text search over title / description + the channel's username / fullname
+// ?q=&channel=&minDuration=&maxDuration=&uploadedAfter=&uploadedBefore=&sortBy=relevance|views|date
+const searchVideos = asyncHandler(async (req, res) => {
+  const {
+    q,
+    channel,
+    minDuration,
+    maxDuration,
+    uploadedAfter,
+    uploadedBefore,
+    sortBy = "relevance",
+  } = req.query;
+
+  if (!q?.trim()) {
+    throw new ApiErrors(400, "Search query (q) is required");
+  }
+
+  if (!SEARCH_SORTS[sortBy]) {
+    throw new ApiErrors(
+      400,
+      `sortBy must be one of: ${Object.keys(SEARCH_SORTS).join(", ")}`,
+    );
+  }
+
+  const text = q.trim().slice(0, 200);
+
+  // 👤 Channels whose username / fullname match (both fields are indexed on User)
+  const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const matchingOwners = await User.find({
+    $or: [
+      { username: { $regex: `^${escaped.toLowerCase()}` } },
+      { fullname: { $regex: escaped, $options: "i" } },
+    ],
+  })
+    .select("_id")
+    .limit(50)
+    .lean();
+  const ownerIds = matchingOwners.map((user) => user._id);
+
+  // 🧱 Base match: text OR channel match, visible to this viewer, optional channel
+  const baseFilters = [
+    { $or: [{ $text: { $search: text } }, { owner: { $in: ownerIds } }] },
+    visibleVideosMatch(req.user),
+  ];
+
+  if (channel) {
+    if (!isValidObjectId(channel)) {
+      throw new ApiErrors(400, "Invalid channel id");
+    }
+    baseFilters.push({ owner: new mongoose.Types.ObjectId(channel) });
+  }
+
+  // 🎚️ Duration (seconds) and upload date filters
+  const filters = [];
+  const duration = {};
+  const createdAt = {};
+
+  if (minDuration !== undefined) duration.$gte = Number(minDuration);
+  if (maxDuration !== undefined) duration.$lte = Number(maxDuration);
+  if (uploadedAfter) createdAt.$gte = new Date(uploadedAfter);
+  if (uploadedBefore) createdAt.$lte = new Date(uploadedBefore);
+
+  if (Object.values(duration).some(Number.isNaN)) {
+    throw new ApiErrors(400, "minDuration / maxDuration must be numbers");
+  }
+
+  if (Object.values(createdAt).some((d) => Number.isNaN(d.getTime()))) {
+    throw new ApiErrors(400, "uploadedAfter / uploadedBefore must be dates");
+  }
+
+  if (Object.keys(duration).length) filters.push({ duration });
+  if (Object.keys(createdAt).length) filters.push({ createdAt });
+
+  // ⭐ Relevance = text score (+1 when the channel itself matched)
+  const relevanceStage = {
+    $addFields: {
+      relevance: {
+        $add: [
+          { $ifNull: [{ $meta: "textScore" }, 0] },
+          { $cond: [{ $in: ["$owner", ownerIds] }, 1, 0] },
+        ],
+      },
+    },
+  };
+
+  const aggregate = Video.aggregate([
+    { $match: { $and: [...baseFilters, ...filters] } },
+    relevanceStage,
+    { $sort: SEARCH_SORTS[sortBy] },
+    ...userProfileLookup("owner"),
+    ...likeStats("Video", req.user),
+  ]);
+
+  const results = await Video.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query),
+  );
+
+  // 📊 Facet counts over the base match (duration / date filters not applied,
+  // so the client can show how many results each filter would give)
+  const now = Date.now();
+  const dateBuckets = UPLOAD_DATE_BUCKETS.map((bucket) => ({
+    ...bucket,
+    from: new Date(bucket.maxAgeMs === null ? 0 : now - bucket.maxAgeMs),
+  }));
+
+  const [facets] = await Video.aggregate([
+    { $match: { $and: baseFilters } },
+    {
+      $facet: {
+        duration: [
+          {
+            $bucket: {
+              groupBy: "$duration",
+              boundaries: DURATION_BUCKETS.map((bucket) => bucket.min),
+              default: DURATION_BUCKETS.at(-1).min,
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        uploadDate: [
+          {
+            $bucket: {
+              groupBy: "$createdAt",
+              boundaries: [
+                ...dateBuckets.map((bucket) => bucket.from),
+                new Date(now + DAY),
+              ],
+              default: "future",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        channels: [
+          { $group: { _id: "$owner", count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 10 },
+          { $project: { _id: 0, owner: "$_id", count: 1 } },
+          ...userProfileLookup("owner"),
+        ],
+      },
+    },
+  ]);
+
+  // 🏷️ Turn bucket lower bounds back into labels
+  // (Number() works for both numbers and dates)
+  const labelFor = (buckets, key, value) =>
+    buckets.find((bucket) => Number(bucket[key]) === Number(value))?.label;
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...results,
+        facets: {
+          duration: facets.duration.map((bucket) => ({
+            bucket: labelFor(DURATION_BUCKETS, "min", bucket._id),
+            count: bucket.count,
+          })),
+          uploadDate: facets.uploadDate
+            .filter((bucket) => bucket._id !== "future")
+            .map((bucket) => ({
+              bucket: labelFor(dateBuckets, "from", bucket._id),
+              count: bucket.count,
+            })),
+          channels: facets.channels,
+        },
+      },
+      "Search results fetched successfully",
+    ),
+  );
+});
+
+//*************************************************Get Video By Id***************************************************************** */
+const getVideoById = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiErrors(400, "Invalid video id");
+  }
+
+  const video = await Video.aggregate([
+    {
+      $match: {
+        $and: [
+          { _id: new mongoose.Types.ObjectId(videoId) },
+          visibleVideosMatch(req.user),
+        ],
+      },
+    },
+    ...userProfileLookup("owner"),
+    ...likeStats("Video", req.user),
+  ]);
+
+  // ❌ Missing or unpublished (for non-owners) → same 404, so we don't leak its existence
+  if (!video?.length) {
+    throw new ApiErrors(404, "Video not found");
+  }
+
+  // 👁️ Count the view (once per viewer per window, owner excluded)
+  const counted = await recordView(video[0], req);
+
+  if (counted) {
+    video[0].views += 1;
+  }
+
+  // 🕘 Logged-in viewer → move this video to the front of their watch history
+  if (req.user) {
+    await User.addToWatchHistory(req.user._id, videoId);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video[0], "Video fetched successfully"));
+});
+
+//*************************************************Related Videos***************************************************************** */
+// 🎬 "Up next" list for a video page: ?limit=20 (max 50)
+// Ranked by co-watching, similar title/description, channels and fresh views;
+// videos the viewer already watched are left out.
+const getRelatedVideos = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiErrors(400, "Invalid video id");
+  }
+
+  const video = await Video.findOne({
+    $and: [{ _id: videoId }, visibleVideosMatch(req.user)],
+  })
+    .select("title description owner")
+    .lean();
+
+  if (!video) {
+    throw new ApiErrors(404, "Video not found");
+  }
+
+  const { limit } = getPaginationOptions(req.query, { defaultLimit: 20 });
+
+  const videos = await recommendRelated(video, req.user, { limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Related videos fetched successfully"));
+});
+
+//*************************************************Update Video***************************************************************** */
+// ✏️ Update title / description / thumbnail (owner only)
+const updateVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { title, description } = req.body;
+
+  const video = await findOwnedVideo(videoId, req.user?._id);
+
+  if (title !== undefined) {
+    if (!title.trim()) {
+      throw new ApiErrors(400, "Title cannot be empty");
+    }
+    video.title = title.trim();
+  }
+
+  if (description !== undefined) {
+    if (!description.trim()) {
+      throw new ApiErrors(400, "Description cannot be empty");
+    }
+    video.description = description.trim();
+  }
+
+  // 🖼️ Optional new thumbnail
+  const thumbnailLocalPath = req.file?.path;
+  let oldThumbnail = null;
+
+  if (thumbnailLocalPath) {
+    const thumbnail = await uploadFile(thumbnailLocalPath, {
+      folder: "thumbnails",
+    });
+
+    if (!thumbnail?.url) {
+      throw new ApiErrors(400, "Error while uploading thumbnail");
+    }
+
+    oldThumbnail = video.thumbnailKey;
+    video.thumbnail = thumbnail.url;
+    video.thumbnailKey = thumbnail.key;
+  }
+
+  await video.save();
+
+  // 🗑️ Remove the replaced thumbnail from storage
+  await deleteFile(oldThumbnail);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video updated successfully"));
+});
+
+//*************************************************Delete Video***************************************************************** */
+const deleteVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findOwnedVideo(videoId, req.user?._id);
+
+  await deleteVideoWithRelatedData(video);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video deleted successfully"));
+});
+
+//*************************************************Toggle Publish***************************************************************** */
+const togglePublishStatus = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findOwnedVideo(videoId, req.user?._id);
+
+  // 🔒 Videos unpublished by a moderator can't be published again by the owner
+  if (!video.isPublished && video.moderationLocked) {
+    throw new ApiErrors(403, "This video was unpublished by a moderator");
+  }
+
+  video.isPublished = !video.isPublished;
+  await video.save({ validateBeforeSave: false });
+
+  // 🔔 First time it goes public → tell the subscribers (runs once per video;
+  // a video still processing is announced when it's ready)
+  if (video.isPublished) {
+    notifySubscribersOfUpload(video);
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        isPublished: video.isPublished,
+        processingStatus: video.processingStatus,
+      },
+      video.isPublished && video.processingStatus !== "ready"
+        ? "Video will be published once processing finishes"
+        : "Publish status toggled successfully",
+    ),
+  );
+});
+
+//*************************************************Reprocess Video***************************************************************** */
+// 🔁 Queue a video whose processing failed for another run (owner only)
+const reprocessVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isVideoProcessingEnabled()) {
+    throw new ApiErrors(400, "Video processing is turned off");
+  }
+
+  const video = await findOwnedVideo(videoId, req.user?._id);
+
+  if (video.processingStatus !== "failed") {
+    throw new ApiErrors(
+      409,
+      "Only videos whose processing failed can be retried",
+    );
+  }
+
+  await enqueueVideoProcessing(video);
+
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        { processingStatus: "queued", processingProgress: 0 },
+        "Video queued for processing",
+      ),
+    );
+});
+
+export {
+  getAllVideos,
+  searchVideos,
+  publishAVideo,
+  getVideoById,
+  getRelatedVideos,
+  updateVideo,
+  deleteVideo,
+  togglePublishStatus,
+  reprocessVideo,
+};
@@ -11,8 +11,22 @@ dotenv.config({ path: path.resolve(__dirname, "../.env") });
 
 console.log("MONGO_URI:", process.env.MONGO_URI);
 
+// 🔐 Settings that must never be guessed
+// CLIENT_URL: links in emails, VIEW_HASH_SALT: anonymous viewer hashes
+const REQUIRED_ENV = ["CLIENT_URL", "VIEW_HASH_SALT"];
+const missingEnv = REQUIRED_ENV.filter((name) => !process.env[name]);
+
+if (missingEnv.length) {
+  console.log(`Missing environment variables: ${missingEnv.join(", ")} ❌`);
+  process.exit(1);
+}
+
 import connectDB from "./db/index.js";
 import { app } from "./app.js";
+import { startTempSweeper } from "./utils/tempSweeper.js";
+import { startUploadSessionSweeper } from "./utils/uploadSessions.js";
+import { startJobWorker } from "./utils/jobQueue.js";
+import { registerVideoProcessing } from "./utils/videoProcessing/index.js";
 
 
 connectDB()
@@ -20,6 +34,18 @@ connectDB()
     app.listen(process.env.PORT || 8080, () => {
       console.log("server is running ✅");
     });
+
+    // 🧹 Clean orphaned uploads from public/temp
+    startTempSweeper();
+
+    // 🧹 Drop abandoned resumable uploads
+    startUploadSessionSweeper();
+
+    // ⚙️ Background jobs (video processing) — JOB_WORKER=false leaves them to other instances
+    if (process.env.JOB_WORKER !== "false") {
+      registerVideoProcessing();
+      startJobWorker();
+    }
   })
   .catch((err) => {
     console.log("MongoDB connection failed !!!❌");
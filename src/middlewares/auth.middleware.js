@@ -2,44 +2,115 @@ import ApiErrors from "../utils/ApiErrors.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+
+// 🔎 Get access token from:
+// 1) Cookies (stored in browser)
+// 2) Authorization header (Bearer token)
+export const getAccessToken = (req) =>
+  req.cookies?.accessToken ||
+  req.header("Authorization")?.replace("Bearer ", "");
+
+// 🔐 Verify an access token and load its user + session
+// Throws ApiErrors(401) when the token, user or session is not valid
+export const authenticateAccessToken = async (token) => {
+  // If token is fake, modified, or expired → jwt.verify will throw error
+  const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+
+  // 👤 Get user from database using ID stored inside token
+  // Exclude sensitive fields (password, refreshToken)
+  const user = await User.findById(decodedToken?._id).select(
+    "-password -refreshToken",
+  );
+
+  // ❌ If user not found → token invalid or user deleted
+  if (!user) {
+    throw new ApiErrors(401, "Invalid access token (User not found)");
+  }
+
+  // 🚫 Banned accounts can't use the API, even with a token issued before the ban
+  if (user.isBanned) {
+    throw new ApiErrors(403, "This account has been banned");
+  }
+
+  // 📱 The device session must still be active (not logged out / revoked)
+  const session =
+    decodedToken.sid &&
+    (await Session.exists({
+      _id: decodedToken.sid,
+      user: user._id,
+      revokedAt: null,
+    }));
+
+  if (!session) {
+    throw new ApiErrors(401, "Session expired or revoked");
+  }
+
+  return { user, sessionId: decodedToken.sid };
+};
 
 // Middleware to verify JWT and protect private routes
 export const verifyJWT = asyncHandler(async (req, res, next) => {
   try {
-    // 🔎 Try to get access token from:
-    // 1) Cookies (stored in browser)
-    // 2) Authorization header (Bearer token)
-    const token =
-      req.cookies?.accessToken ||
-      req.header("Authorization")?.replace("Bearer ", "");
+    const token = getAccessToken(req);
 
     // ❌ If no token found → user is not logged in
     if (!token) {
       throw new ApiErrors(401, "Unauthorized user (No token)");
     }
 
-    // 🔐 Verify token using secret key
-    // If token is fake, modified, or expired → jwt.verify will throw error
-    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-
-    // 👤 Get user from database using ID stored inside token
-    // Exclude sensitive fields (password, refreshToken)
-    const user = await User.findById(decodedToken?._id).select(
-      "-password -refreshToken",
-    );
-
-    // ❌ If user not found → token invalid or user deleted
-    if (!user) {
-      throw new ApiErrors(401, "Invalid access token (User not found)");
-    }
+    const { user, sessionId } = await authenticateAccessToken(token);
 
     // ✅ Attach user data to request object
     // Now next controllers can access logged-in user via req.user
     req.user = user;
+    req.sessionId = sessionId;
 
     // ➡️ Allow request to continue to next middleware/controller
     next();
   } catch (error) {
+    // keep our own errors (e.g. 403 banned) as they are
+    if (error instanceof ApiErrors) throw error;
     throw new ApiErrors(401, error?.message || "invalid access Token");
   }
 });
+
+// Middleware for public routes that behave differently for a logged-in viewer
+// (e.g. owners can see their own unpublished videos).
+// It never rejects the request — it only attaches req.user when a valid token is sent.
+export const optionalJWT = asyncHandler(async (req, res, next) => {
+  const token = getAccessToken(req);
+
+  // 👻 No token → continue as anonymous viewer
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const { user, sessionId } = await authenticateAccessToken(token);
+    req.user = user;
+    req.sessionId = sessionId;
+  } catch (error) {
+    // ⚠️ Bad / expired token on a public route → just treat as anonymous
+  }
+
+  next();
+});
+
+// Middleware to allow only some roles — use after verifyJWT
+// e.g. router.use(verifyJWT, authorize("admin", "moderator"))
+export const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return next(new ApiErrors(401, "Unauthorized user"));
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return next(
+        new ApiErrors(403, "You don't have permission to perform this action"),
+      );
+    }
+
+    next();
+  };
@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+import multer from "multer";
+import jwt from "jsonwebtoken";
+import ApiErrors from "../utils/ApiErrors.js";
+
+// 🔁 Convert known library errors into ApiErrors so every error has one JSON shape
+const normalizeError = (err) => {
+  if (err instanceof ApiErrors) {
+    return err;
+  }
+
+  // 📝 Mongoose schema validation → 400 with one entry per invalid path
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((e) => ({
+      field: e.path,
+      message: e.message,
+    }));
+    return new ApiErrors(400, "Validation failed", errors, err.stack);
+  }
+
+  // 🆔 Bad ObjectId / type cast
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiErrors(
+      400,
+      `Invalid ${err.path}: ${err.value}`,
+      [{ field: err.path, message: `Invalid ${err.kind}` }],
+      err.stack,
+    );
+  }
+
+  // 🔁 Unique index violation (e.g. duplicate email / username)
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ApiErrors(
+      409,
+      `${fields.join(", ") || "value"} already exists`,
+      fields.map((field) => ({ field, message: `${field} already exists` })),
+      err.stack,
+    );
+  }
+
+  // 🔐 JWT errors (expired / malformed tokens)
+  if (err instanceof jwt.TokenExpiredError) {
+    return new ApiErrors(401, "Token expired", [], err.stack);
+  }
+
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new ApiErrors(401, err.message || "Invalid token", [], err.stack);
+  }
+
+  // 📁 Multer upload errors (too large, unexpected field, ...)
+  if (err instanceof multer.MulterError) {
+    const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    return new ApiErrors(
+      statusCode,
+      err.message,
+      err.field ? [{ field: err.field, message: err.message }] : [],
+      err.stack,
+    );
+  }
+
+  // 📨 Malformed JSON body from express.json()
+  if (err?.type === "entity.parse.failed") {
+    return new ApiErrors(400, "Invalid JSON body", [], err.stack);
+  }
+
+  // Errors from body-parser and friends carry their own 4xx status
+  const statusCode = err?.statusCode || err?.status;
+  if (statusCode >= 400 && statusCode < 500) {
+    return new ApiErrors(statusCode, err.message, [], err.stack);
+  }
+
+  // ❌ Anything else is a bug → generic 500 (don't leak internal messages)
+  return new ApiErrors(500, "Internal server error", [], err?.stack);
+};
+
+// 🚫 JSON 404 for routes that don't exist (registered after all routers)
+export const notFound = (req, res, next) => {
+  next(new ApiErrors(404, `Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+// 🧯 Global error handler — must be the LAST middleware in app.js
+// Express recognises it as an error handler because it takes 4 arguments
+export const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+
+  if (error.statusCode >= 500) {
+    console.log(err);
+  }
+
+  return res.status(error.statusCode).json({
+    statusCode: error.statusCode,
+    data: null,
+    message: error.message,
+    success: false,
+    errors: error.errors,
+    ...(process.env.NODE_ENV !== "production" && { stack: error.stack }),
+  });
+};
@@ -1,12 +1,174 @@
 import multer from "multer";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import ApiErrors from "../utils/ApiErrors.js";
+import { detectFileTypeFromPath } from "../utils/fileType.js";
+
+export const TEMP_DIR = "./public/temp";
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const VIDEO_TYPES = [
+  "video/mp4",
+  "video/webm",
+  "video/quicktime",
+  "video/x-matroska",
+  "video/x-msvideo",
+];
+
+// 📋 What each upload field accepts
+export const UPLOAD_RULES = {
+  avatar: { types: IMAGE_TYPES, maxSize: 2 * MB },
+  coverImage: { types: IMAGE_TYPES, maxSize: 5 * MB },
+  thumbnail: { types: IMAGE_TYPES, maxSize: 5 * MB },
+  image: { types: IMAGE_TYPES, maxSize: 5 * MB },
+  videoFile: { types: VIDEO_TYPES, maxSize: 500 * MB },
+};
+
+// Generated temp names look like "1716370000000-9f86d081884c7d65.jpg"
+export const TEMP_FILE_PATTERN = /^\d+-[0-9a-f]{16}(\.[a-z0-9]+)?$/;
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, "./public/temp");
+    cb(null, TEMP_DIR);
   },
+  // 🔐 Never trust file.originalname — two uploads with the same name would overwrite each other
   filename: function (req, file, cb) {
-    cb(null, file.originalname);
+    const ext = path
+      .extname(file.originalname || "")
+      .toLowerCase()
+      .replace(/[^.a-z0-9]/g, "");
+    cb(null, `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${ext}`);
   },
 });
 
-export const upload = multer({ storage});
+// ❌ Reject unknown fields and wrong declared types before anything is written to disk
+const fileFilter = (req, file, cb) => {
+  const rules = UPLOAD_RULES[file.fieldname];
+
+  if (!rules) {
+    return cb(new ApiErrors(400, `Unexpected file field "${file.fieldname}"`));
+  }
+
+  if (!rules.types.includes(file.mimetype)) {
+    return cb(
+      new ApiErrors(400, `Invalid file type for ${file.fieldname}`, [
+        {
+          field: file.fieldname,
+          message: `allowed types: ${rules.types.join(", ")}`,
+        },
+      ]),
+    );
+  }
+
+  cb(null, true);
+};
+
+// 📁 Every file multer stored for this request
+const getRequestFiles = (req) => [
+  ...(req.file ? [req.file] : []),
+  ...Object.values(req.files || {}).flat(),
+];
+
+const removeFile = (filePath) =>
+  fs.promises.unlink(filePath).catch(() => {
+    // already moved to storage or removed
+  });
+
+// 🧹 Once the response is sent, delete temp files nobody consumed
+// (uploadFile removes them on success, so anything left means the request failed early)
+const cleanupAfterResponse = (req, res) => {
+  const cleanup = () => {
+    for (const file of getRequestFiles(req)) {
+      if (file.path && fs.existsSync(file.path)) {
+        removeFile(file.path);
+      }
+    }
+  };
+
+  res.once("finish", cleanup);
+  res.once("close", cleanup);
+};
+
+// 🔎 Check real size + content of each stored file against its field rules
+const verifyFiles = async (req) => {
+  for (const file of getRequestFiles(req)) {
+    const rules = UPLOAD_RULES[file.fieldname];
+
+    if (file.size > rules.maxSize) {
+      throw new ApiErrors(413, `${file.fieldname} is too large`, [
+        {
+          field: file.fieldname,
+          message: `max size is ${Math.round(rules.maxSize / MB)} MB`,
+        },
+      ]);
+    }
+
+    const detected = await detectFileTypeFromPath(file.path);
+
+    // ❌ Content doesn't match an allowed type (e.g. an executable named avatar.png)
+    if (!detected || !rules.types.includes(detected.mime)) {
+      throw new ApiErrors(400, `Invalid file content for ${file.fieldname}`, [
+        {
+          field: file.fieldname,
+          message: `allowed types: ${rules.types.join(", ")}`,
+        },
+      ]);
+    }
+
+    // ✏️ Give the temp file the extension of its real type
+    if (path.extname(file.path) !== detected.ext) {
+      const parsed = path.parse(file.path);
+      const newPath = path.join(parsed.dir, `${parsed.name}${detected.ext}`);
+      await fs.promises.rename(file.path, newPath);
+      file.path = newPath;
+      file.filename = path.basename(newPath);
+    }
+
+    file.mimetype = detected.mime;
+  }
+};
+
+// Wrap a multer middleware with cleanup + content verification
+const secure = (fieldNames, createMiddleware) => {
+  // Streaming limit = biggest cap among the fields of this route,
+  // so an avatar route never accepts a 500 MB body
+  const maxSize = Math.max(
+    ...fieldNames.map((name) => UPLOAD_RULES[name]?.maxSize || 0),
+  );
+
+  const middleware = createMiddleware(
+    multer({
+      storage,
+      fileFilter,
+      limits: { fileSize: maxSize, files: fieldNames.length * 2 },
+    }),
+  );
+
+  return (req, res, next) => {
+    cleanupAfterResponse(req, res);
+
+    middleware(req, res, async (err) => {
+      if (err) return next(err);
+
+      try {
+        await verifyFiles(req);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+  };
+};
+
+// Same API as a multer instance: upload.single(name) / upload.fields([...])
+export const upload = {
+  single: (name) => secure([name], (instance) => instance.single(name)),
+  fields: (fields) =>
+    secure(
+      fields.map((field) => field.name),
+      (instance) => instance.fields(fields),
+    ),
+};
@@ -0,0 +1,88 @@
+import ApiErrors from "../utils/ApiErrors.js";
+import { getRateLimitStore } from "../utils/rateLimit/index.js";
+
+// 🔑 Who is being limited
+//   "ip"   → client address (needs TRUST_PROXY behind a proxy)
+//   "user" → logged-in user (falls back to the ip) — put it after verifyJWT
+//   fn     → custom: (req) => string
+const KEY_GENERATORS = {
+  ip: (req) => `ip:${req.ip}`,
+  user: (req) => (req.user?._id ? `u:${req.user._id}` : `ip:${req.ip}`),
+};
+
+// Middleware factory to limit how often a route can be called
+//
+// router.route("/login").post(
+//   rateLimit({ name: "login", windowMs: 15 * 60 * 1000, max: 10 }),
+//   LoginUser,
+// );
+//
+// Every response carries RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset
+// (seconds until the window ends); a blocked request also gets Retry-After.
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyBy = "ip",
+  store,
+  skipSuccessfulRequests = false,
+  message = "Too many requests, please try again later",
+}) => {
+  if (!name || !(windowMs > 0) || !(max > 0)) {
+    throw new Error("rateLimit needs a name, a windowMs and a max");
+  }
+
+  const getKey = typeof keyBy === "function" ? keyBy : KEY_GENERATORS[keyBy];
+
+  if (!getKey) {
+    throw new Error(`Unknown rateLimit keyBy "${keyBy}"`);
+  }
+
+  const windowSeconds = Math.ceil(windowMs / 1000);
+
+  return async (req, res, next) => {
+    // store chosen per request, so RATE_LIMIT_STORE / setRateLimitStore apply at runtime
+    const limiterStore = store || getRateLimitStore();
+    const key = `${name}:${getKey(req)}`;
+
+    let hit;
+
+    try {
+      hit = await limiterStore.increment(key, windowMs);
+    } catch (error) {
+      // ⚠️ A broken store must not take the whole API down → let the request through
+      console.log("Rate limit store error:", error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000),
+    );
+
+    res.set({
+      "RateLimit-Policy": `${max};w=${windowSeconds}`,
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - hit.count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (hit.count > max) {
+      res.set("Retry-After", String(resetSeconds));
+      return next(new ApiErrors(429, message));
+    }
+
+    // ✅ Only failed attempts count (e.g. wrong passwords on login)
+    if (skipSuccessfulRequests) {
+      res.once("finish", () => {
+        if (res.statusCode < 400) {
+          limiterStore.decrement(key).catch(() => {
+            // counter expired or store unavailable — nothing to undo
+          });
+        }
+      });
+    }
+
+    next();
+  };
+};
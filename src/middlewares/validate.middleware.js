@@ -0,0 +1,23 @@
+import ApiErrors from "../utils/ApiErrors.js";
+import { validateSchema } from "../utils/validator.js";
+
+// Middleware factory to validate req.body / req.params / req.query against a schema
+// Usage: router.route("/login").post(validate(loginSchema), LoginUser)
+//
+// ❌ Invalid input → 400 ApiErrors with one { field, message } entry per bad field
+export const validate =
+  (schema, source = "body") =>
+  (req, res, next) => {
+    const { value, errors } = validateSchema(schema, req[source] || {});
+
+    if (errors.length) {
+      return next(new ApiErrors(400, "Validation failed", errors));
+    }
+
+    // 🧹 Write back trimmed / lowercased values (req.query is read-only in Express 5)
+    if (source !== "query") {
+      req[source] = value;
+    }
+
+    next();
+  };
@@ -0,0 +1,63 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// Record of every moderation action (who did what to which target and why)
+const auditLogSchema = new Schema(
+  {
+    // null when the system acted on its own (e.g. auto-hide after reports)
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["User", "Video", "Comment", "Tweet", "Report"],
+      required: true,
+    },
+    targetId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: "",
+    },
+    // extra details, e.g. { from: "user", to: "moderator" } for role changes
+    metadata: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: true },
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// 📝 Write one entry: AuditLog.record(req.user, "user.ban", "User", user._id, { reason })
+auditLogSchema.statics.record = function (
+  actor,
+  action,
+  targetType,
+  targetId,
+  { reason = "", metadata = {} } = {},
+) {
+  return this.create({
+    actor: actor?._id ?? null,
+    action,
+    targetType,
+    targetId,
+    reason,
+    metadata,
+  });
+};
+
+auditLogSchema.plugin(mongooseAggregatePaginate);
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
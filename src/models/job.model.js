@@ -0,0 +1,71 @@
+import mongoose, { Schema } from "mongoose";
+
+export const JOB_STATUSES = ["queued", "running", "completed", "failed"];
+
+// One unit of background work for the job queue (utils/jobQueue.js)
+// e.g. { type: "video.process", payload: { videoId } }
+const jobSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "queued",
+    },
+    // 0 - 100, reported by the handler while it runs
+    progress: {
+      type: Number,
+      default: 0,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    // not picked up before this moment (retry backoff)
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // a worker owns the job until then — after that it counts as crashed
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    // finished jobs are removed by Mongo after a while
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// next job to claim: oldest due one of the status
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, "payload.videoId": 1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Job = mongoose.model("Job", jobSchema);
@@ -0,0 +1,35 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// One like = one user liking one target (a video, a comment or a tweet)
+const likeSchema = new Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ["Video", "Comment", "Tweet"],
+      required: true,
+    },
+    target: {
+      type: Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    likedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+// a user can like the same thing only once (also protects against parallel requests)
+likeSchema.index({ likedBy: 1, targetType: 1, target: 1 }, { unique: true });
+// counting likes of a target
+likeSchema.index({ target: 1, targetType: 1 });
+// "liked videos" list, newest first
+likeSchema.index({ likedBy: 1, targetType: 1, createdAt: -1 });
+
+likeSchema.plugin(mongooseAggregatePaginate);
+
+export const Like = mongoose.model("Like", likeSchema);
@@ -0,0 +1,77 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+export const NOTIFICATION_TYPES = [
+  "new_video", // a subscribed channel uploaded a video
+  "comment_reply", // someone replied to your comment
+  "video_comment", // someone commented on your video
+  "like", // someone liked your video, comment or post
+  "subscriber", // someone subscribed to your channel
+];
+
+// One notification in a user's inbox
+// Bursts are grouped: while a notification is unread, more events with the same
+// groupKey (e.g. likes on the same video) update it instead of adding new ones
+// → "alice and 11 others liked your video"
+const notificationSchema = new Schema(
+  {
+    recipient: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    // e.g. "like:Video:<videoId>" — events with the same key are grouped
+    groupKey: {
+      type: String,
+      required: true,
+    },
+    // most recent users behind the event first (capped), and how many there were in total
+    actors: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    actorsCount: {
+      type: Number,
+      default: 1,
+    },
+    targetType: {
+      type: String,
+      enum: ["Video", "Comment", "Tweet", "User"],
+      required: true,
+    },
+    target: {
+      type: Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// only one unread notification per group (also protects against parallel events)
+notificationSchema.index(
+  { recipient: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { isRead: false } },
+);
+// inbox, latest activity first
+notificationSchema.index({ recipient: 1, updatedAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+
+notificationSchema.plugin(mongooseAggregatePaginate);
+
+export const Notification = mongoose.model("Notification", notificationSchema);
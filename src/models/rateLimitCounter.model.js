@@ -0,0 +1,28 @@
+import mongoose, { Schema } from "mongoose";
+
+// Hit counter of one rate limit key ("login:ip:1.2.3.4") for the current window
+// Used by the "mongo" rate limit store, so every app instance shares the limits.
+const rateLimitCounterSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // end of the current window
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Mongo deletes finished windows by itself
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimitCounter = mongoose.model(
+  "RateLimitCounter",
+  rateLimitCounterSchema,
+);
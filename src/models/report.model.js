@@ -0,0 +1,90 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+export const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate",
+  "violence",
+  "sexual",
+  "misinformation",
+  "copyright",
+  "other",
+];
+
+// One report = one viewer flagging one video, comment or user
+const reportSchema = new Schema(
+  {
+    reporter: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["Video", "Comment", "User"],
+      required: true,
+    },
+    target: {
+      type: Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: "",
+    },
+    // open → waiting in the moderation queue
+    // resolved → a moderator acted on the target, dismissed → nothing wrong
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+    },
+    // true once the target was hidden automatically because of too many reports
+    autoHidden: {
+      type: Boolean,
+      default: false,
+    },
+    // what auto-hiding changed on the target, put back if the reports are dismissed
+    hiddenState: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    resolution: {
+      action: {
+        type: String,
+        enum: ["dismiss", "unpublish", "delete", "warn"],
+      },
+      resolvedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+      resolvedAt: {
+        type: Date,
+      },
+      note: {
+        type: String,
+      },
+    },
+  },
+  { timestamps: true },
+);
+
+// a viewer can report the same thing only once (also protects against parallel requests)
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 }, { unique: true });
+// counting reporters of a target
+reportSchema.index({ target: 1, targetType: 1, status: 1 });
+// moderation queue
+reportSchema.index({ status: 1, targetType: 1, createdAt: 1 });
+
+reportSchema.plugin(mongooseAggregatePaginate);
+
+export const Report = mongoose.model("Report", reportSchema);
@@ -0,0 +1,63 @@
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+
+// One document per logged-in device.
+// A session is also a refresh-token family: every refresh rotates tokenHash,
+// and presenting an older token of the same session revokes the whole session.
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // sha256 of the current refresh token (the raw token is never stored)
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+    },
+  },
+  { timestamps: true },
+);
+
+// Mongo removes sessions by itself once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+//to hash a refresh token before storing / comparing it
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+//to revoke every active session matching the filter (logout / reuse detection)
+sessionSchema.statics.revoke = async function (filter, reason) {
+  return await this.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+};
+
+export const Session = mongoose.model("Session", sessionSchema);
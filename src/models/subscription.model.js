@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const subscriptionSchema = new Schema({
   subcribers: {
@@ -13,4 +14,10 @@ const subscriptionSchema = new Schema({
   
 },{timestamps:true});
 
+// one subscription per (subscriber, channel) pair
+subscriptionSchema.index({ subcribers: 1, channel: 1 }, { unique: true });
+subscriptionSchema.index({ channel: 1, createdAt: -1 });
+
+subscriptionSchema.plugin(mongooseAggregatePaginate);
+
 export const subscription = mongoose.model("subscription", subscriptionSchema);
@@ -0,0 +1,36 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// Community post of a channel
+const tweetSchema = new Schema(
+  {
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000,
+    },
+    image: {
+      type: String,
+      default: "",
+    },
+    // storage key of image (used to delete the file)
+    imageKey: {
+      type: String,
+      default: null,
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+// posts of a channel, newest first (profile page + subscription feed)
+tweetSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+
+tweetSchema.plugin(mongooseAggregatePaginate);
+
+export const Tweet = mongoose.model("Tweet", tweetSchema);
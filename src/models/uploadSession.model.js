@@ -0,0 +1,74 @@
+import mongoose, { Schema } from "mongoose";
+
+// A resumable video upload in progress (see controllers/upload.controller.js)
+// Chunks are written into a part file on disk; offset = bytes received so far.
+// Expired sessions are removed together with their part file by
+// utils/uploadSessions.js (not a TTL index, which would leave the file behind).
+const uploadSessionSchema = new Schema(
+  {
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    fileSize: {
+      type: Number,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    // details of the Video created when the upload completes
+    title: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      required: true,
+    },
+    offset: {
+      type: Number,
+      default: 0,
+    },
+    // random name of the part file, never derived from the session id
+    partName: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "completing", "completed"],
+      default: "active",
+    },
+    // one chunk is written at a time
+    chunkLockedUntil: {
+      type: Date,
+      default: null,
+    },
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      default: null,
+    },
+    // pushed back by every chunk
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+uploadSessionSchema.index({ owner: 1, status: 1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+export const UploadSession = mongoose.model(
+  "UploadSession",
+  uploadSessionSchema,
+);
@@ -1,6 +1,17 @@
 import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// how many entries we keep in a user's watch history
+const WATCH_HISTORY_LIMIT = 200;
+
+// login lockout: after LOGIN_FREE_ATTEMPTS failures every new failure locks the
+// account for LOGIN_LOCK_BASE_MS, doubled each time, up to LOGIN_LOCK_MAX_MS
+const LOGIN_FREE_ATTEMPTS = 5;
+const LOGIN_LOCK_BASE_MS = 60 * 1000; // 1 minute
+const LOGIN_LOCK_MAX_MS = 60 * 60 * 1000; // 1 hour
 
 const userSchema = new Schema(
   {
@@ -32,18 +43,116 @@ const userSchema = new Schema(
     coverImage: {
       type: String,
     },
+    // storage keys of avatar / coverImage (used to delete the files)
+    avatarKey: {
+      type: String,
+      default: null,
+    },
+    coverImageKey: {
+      type: String,
+      default: null,
+    },
     watchHistory: [
       {
         type: Schema.Types.ObjectId,
         ref: "Video",
       },
     ],
+    watchHistoryPaused: {
+      type: Boolean,
+      default: false,
+    },
+    // which notification types the user wants (all on by default)
+    notificationPreferences: {
+      new_video: { type: Boolean, default: true },
+      comment_reply: { type: Boolean, default: true },
+      video_comment: { type: Boolean, default: true },
+      like: { type: Boolean, default: true },
+      subscriber: { type: Boolean, default: true },
+    },
+    // uploads newer than this are "unseen" in the subscription feed
+    subscriptionFeedCheckedAt: {
+      type: Date,
+      default: null,
+    },
     password: {
       type: String,
       required: [true, "password  is required"],
     },
-    refreshToken: {
+    role: {
+      type: String,
+      enum: ["user", "moderator", "admin"],
+      default: "user",
+    },
+    isBanned: {
+      type: Boolean,
+      default: false,
+    },
+    bannedAt: {
+      type: Date,
+    },
+    banReason: {
+      type: String,
+    },
+    // moderation warnings received (details live in the audit log)
+    warningsCount: {
+      type: Number,
+      default: 0,
+    },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // hashed single-use tokens (never returned in queries unless selected)
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpiry: {
+      type: Date,
+      select: false,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpiry: {
+      type: Date,
+      select: false,
+    },
+    // wrong passwords in a row + until when login is blocked
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockUntil: {
+      type: Date,
+      select: false,
+    },
+    // two-factor authentication (TOTP)
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    // encrypted TOTP secrets: the active one + the one waiting for its first code
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
       type: String,
+      select: false,
+    },
+    // hashed single-use recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // time step of the last accepted code, so a code can't be used twice
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
     },
   },
   { timestamps: true },
@@ -60,13 +169,27 @@ userSchema.methods.isPasswordCorrect = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
 
-//
-userSchema.methods.generateAccessToken = function () {
+// 🕰️ Same bcrypt work as isPasswordCorrect for logins of unknown users,
+// so the response time doesn't tell which accounts exist (always false)
+let dummyPasswordHash = null;
+
+userSchema.statics.comparePasswordWithoutUser = async function (password) {
+  dummyPasswordHash ??= await bcrypt.hash(
+    crypto.randomBytes(16).toString("hex"),
+    10,
+  );
+  await bcrypt.compare(String(password ?? ""), dummyPasswordHash);
+  return false;
+};
+
+//access token carries the session id (sid) so a revoked session stops working
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
       email: this.email,
       username: this.username,
+      sid: sessionId,
     },
     process.env.ACCESS_TOKEN_SECRET,
     {
@@ -75,10 +198,13 @@ userSchema.methods.generateAccessToken = function () {
   );
 };
 
-userSchema.methods.generateRefreshToken = function () {
+//jti makes every refresh token unique, even two issued in the same second
+userSchema.methods.generateRefreshToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
+      jti: crypto.randomUUID(),
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
@@ -87,4 +213,143 @@ userSchema.methods.generateRefreshToken = function () {
   );
 };
 
+//to create a random token for email verification / password reset
+//the raw token is emailed to the user, only its hash is stored in the DB
+userSchema.statics.generateTemporaryToken = function (expiresInMs) {
+  const unHashedToken = crypto.randomBytes(32).toString("hex");
+
+  return {
+    unHashedToken,
+    hashedToken: this.hashTemporaryToken(unHashedToken),
+    tokenExpiry: new Date(Date.now() + expiresInMs),
+  };
+};
+
+userSchema.statics.hashTemporaryToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+//recovery codes for 2FA look like "3f9a1-c07de" (shown once, stored hashed)
+userSchema.statics.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashedCodes: codes.map((code) => this.hashRecoveryCode(code)),
+  };
+};
+
+//dashes, spaces and case don't matter when a recovery code is typed in
+userSchema.statics.hashRecoveryCode = function (code) {
+  return this.hashTemporaryToken(
+    String(code)
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, ""),
+  );
+};
+
+//to move a video to the front of the watch history (no duplicates, newest first)
+//done in a single update pipeline so two parallel requests can't duplicate the entry
+userSchema.statics.addToWatchHistory = async function (userId, videoId) {
+  const id = new mongoose.Types.ObjectId(videoId);
+
+  return await this.updateOne(
+    { _id: userId, watchHistoryPaused: { $ne: true } },
+    [
+      {
+        $set: {
+          watchHistory: {
+            $slice: [
+              {
+                $concatArrays: [
+                  [id],
+                  {
+                    $filter: {
+                      input: { $ifNull: ["$watchHistory", []] },
+                      cond: { $ne: ["$$this", id] },
+                    },
+                  },
+                ],
+              },
+              WATCH_HISTORY_LIMIT,
+            ],
+          },
+        },
+      },
+    ],
+    // Mongoose only accepts array (pipeline) updates when asked explicitly
+    { updatePipeline: true },
+  );
+};
+
+//to count a wrong password and lock the account when there were too many
+//one update pipeline, so parallel attempts can't lose a count
+userSchema.statics.registerFailedLogin = async function (userId) {
+  return await this.findByIdAndUpdate(
+    userId,
+    [
+      {
+        $set: {
+          failedLoginAttempts: {
+            $add: [{ $ifNull: ["$failedLoginAttempts", 0] }, 1],
+          },
+        },
+      },
+      {
+        $set: {
+          lockUntil: {
+            $cond: [
+              { $gt: ["$failedLoginAttempts", LOGIN_FREE_ATTEMPTS] },
+              {
+                $add: [
+                  "$$NOW",
+                  {
+                    $min: [
+                      LOGIN_LOCK_MAX_MS,
+                      {
+                        $multiply: [
+                          LOGIN_LOCK_BASE_MS,
+                          {
+                            $pow: [
+                              2,
+                              {
+                                $subtract: [
+                                  "$failedLoginAttempts",
+                                  LOGIN_FREE_ATTEMPTS + 1,
+                                ],
+                              },
+                            ],
+                          },
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              },
+              "$lockUntil",
+            ],
+          },
+        },
+      },
+    ],
+    { new: true, updatePipeline: true },
+  ).select("+failedLoginAttempts +lockUntil");
+};
+
+//to forget previous failures after a successful login
+userSchema.statics.resetFailedLogins = async function (userId) {
+  return await this.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } },
+  );
+};
+
+// "people who watched this also watched" lookups for recommendations
+userSchema.index({ watchHistory: 1 });
+
+userSchema.plugin(mongooseAggregatePaginate);
+
 export const User = mongoose.model("User", userSchema);
@@ -1,15 +1,27 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
+export const PROCESSING_STATUSES = ["queued", "processing", "ready", "failed"];
+
 const VideoSchema = new Schema(
   {
     videoFile: {
       type: String,
       required: true,
     },
+    // generated by the processing pipeline when the owner didn't upload one
     thumbnail: {
       type: String,
-      required: true,
+      default: null,
+    },
+    // storage keys of videoFile / thumbnail (used to delete the files)
+    videoFileKey: {
+      type: String,
+      default: null,
+    },
+    thumbnailKey: {
+      type: String,
+      default: null,
     },
     title: {
       type: String,
@@ -19,26 +31,87 @@ const VideoSchema = new Schema(
       type: String,
       required: true,
     },
+    // seconds, measured by the processing pipeline
     duration: {
       type: Number,
-      required: true,
+      default: 0,
     },
     views: {
       type: Number,
       default: 0,
     },
+    // owner's choice — the video is only public once processingStatus is "ready"
     isPublished: {
       type: Boolean,
       default: true,
     },
+    // ⚙️ Processing pipeline (probe → thumbnail → HLS renditions)
+    processingStatus: {
+      type: String,
+      enum: PROCESSING_STATUSES,
+      default: "ready",
+    },
+    processingProgress: {
+      type: Number,
+      default: 100,
+    },
+    processingError: {
+      type: String,
+      default: null,
+    },
+    width: {
+      type: Number,
+      default: null,
+    },
+    height: {
+      type: Number,
+      default: null,
+    },
+    // HLS master playlist (adaptive streaming), null until processed
+    hlsUrl: {
+      type: String,
+      default: null,
+    },
+    renditions: [
+      {
+        _id: false,
+        name: String,
+        width: Number,
+        height: Number,
+        bandwidth: Number,
+        playlistUrl: String,
+      },
+    ],
     owner: {
       type: Schema.Types.ObjectId,
       ref: "User",
     },
+    // set once subscribers were told about this upload (never notify twice)
+    subscribersNotifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // set when a moderator force-unpublishes the video
+    moderationLocked: {
+      type: Boolean,
+      default: false,
+    },
+    // set while the video is hidden by report auto-hide (cleared by any moderator decision)
+    autoHiddenAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true },
 );
 
+// full-text search over title + description (title matches weigh more)
+VideoSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 3, description: 1 }, name: "video_text_search" },
+);
+VideoSchema.index({ owner: 1, createdAt: -1 });
+
 VideoSchema.plugin(mongooseAggregatePaginate);
 
 export const Video = mongoose.model("Video", VideoSchema);
@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose";
+
+// A file generated from a video by the processing pipeline (HLS playlists and
+// segments), kept so the files can be removed from storage with the video.
+const videoAssetSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    // storage key (used to delete the file)
+    key: {
+      type: String,
+      required: true,
+    },
+    // rendition the file belongs to ("720p"), "master" for the master playlist
+    rendition: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+videoAssetSchema.index({ video: 1 });
+
+export const VideoAsset = mongoose.model("VideoAsset", videoAssetSchema);
@@ -0,0 +1,30 @@
+import mongoose, { Schema } from "mongoose";
+
+// Marks that a viewer was already counted for a video.
+// While the document is "active" (expiresAt in the future) more views from
+// the same viewer don't increase Video.views.
+const videoViewSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    // "u:<userId>" for logged-in viewers, "a:<sha256 of ip + user agent>" for anonymous ones
+    viewerKey: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+videoViewSchema.index({ video: 1, viewerKey: 1 }, { unique: true });
+// Mongo deletes old markers by itself
+videoViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const VideoView = mongoose.model("VideoView", videoViewSchema);
@@ -0,0 +1,34 @@
+import mongoose, { Schema } from "mongoose";
+
+// Daily view counter per video (one document per video per UTC day)
+// Used for "views over time" on the creator dashboard.
+const viewStatSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    // copied from the video so dashboard queries don't need a $lookup
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // start of the UTC day
+    date: {
+      type: Date,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true },
+);
+
+viewStatSchema.index({ video: 1, date: 1 }, { unique: true });
+viewStatSchema.index({ owner: 1, date: 1 });
+
+export const ViewStat = mongoose.model("ViewStat", viewStatSchema);
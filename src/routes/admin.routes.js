@@ -0,0 +1,30 @@
+import { Router } from "express";
+import {
+  listUsers,
+  banUser,
+  unbanUser,
+  changeUserRole,
+  unpublishVideo,
+  unlockVideo,
+  deleteVideo,
+  getAuditLogs,
+} from "../controllers/admin.controller.js";
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+//staff only routes (moderators + admins)
+router.use(verifyJWT, authorize("admin", "moderator"));
+
+router.route("/users").get(listUsers);
+router.route("/users/:userId/ban").patch(banUser);
+router.route("/users/:userId/unban").patch(unbanUser);
+router.route("/users/:userId/role").patch(authorize("admin"), changeUserRole);
+
+router.route("/videos/:videoId").delete(deleteVideo);
+router.route("/videos/:videoId/unpublish").patch(unpublishVideo);
+router.route("/videos/:videoId/unlock").patch(unlockVideo);
+
+router.route("/audit-logs").get(authorize("admin"), getAuditLogs);
+
+export default router;
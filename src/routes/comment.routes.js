@@ -0,0 +1,27 @@
+import { Router } from "express";
+import {
+  getVideoComments,
+  getCommentReplies,
+  addComment,
+  updateComment,
+  deleteComment,
+  togglePinComment,
+} from "../controllers/comment.controller.js";
+import { verifyJWT, optionalJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router
+  .route("/:videoId")
+  .get(optionalJWT, getVideoComments)
+  .post(verifyJWT, addComment);
+
+router
+  .route("/c/:commentId")
+  .patch(verifyJWT, updateComment)
+  .delete(verifyJWT, deleteComment);
+
+router.route("/c/:commentId/replies").get(optionalJWT, getCommentReplies);
+router.route("/c/:commentId/pin").patch(verifyJWT, togglePinComment);
+
+export default router;
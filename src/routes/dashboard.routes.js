@@ -0,0 +1,18 @@
+import { Router } from "express";
+import {
+  getChannelStats,
+  getChannelTimeline,
+  getChannelVideos,
+} from "../controllers/dashboard.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+//secured routes
+router.use(verifyJWT);
+
+router.route("/stats").get(getChannelStats);
+router.route("/stats/timeline").get(getChannelTimeline);
+router.route("/videos").get(getChannelVideos);
+
+export default router;
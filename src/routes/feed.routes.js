@@ -0,0 +1,17 @@
+import { Router } from "express";
+import {
+  getSubscriptionFeed,
+  markSubscriptionFeedSeen,
+  getHomeFeed,
+} from "../controllers/feed.controller.js";
+import { verifyJWT, optionalJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.route("/home").get(optionalJWT, getHomeFeed);
+
+//secured routes
+router.route("/subscriptions").get(verifyJWT, getSubscriptionFeed);
+router.route("/subscriptions/seen").post(verifyJWT, markSubscriptionFeedSeen);
+
+export default router;
@@ -0,0 +1,30 @@
+import { Router } from "express";
+import {
+  getNotifications,
+  getUnreadNotificationsCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  streamNotifications,
+} from "../controllers/notification.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+// live stream authenticates itself (it keeps checking the token while open)
+router.route("/stream").get(streamNotifications);
+
+//secured routes
+router.use(verifyJWT);
+
+router.route("/").get(getNotifications);
+router.route("/unread-count").get(getUnreadNotificationsCount);
+router.route("/read-all").patch(markAllNotificationsRead);
+router
+  .route("/preferences")
+  .get(getNotificationPreferences)
+  .patch(updateNotificationPreferences);
+router.route("/:notificationId/read").patch(markNotificationRead);
+
+export default router;
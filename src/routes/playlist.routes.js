@@ -0,0 +1,34 @@
+import { Router } from "express";
+import {
+  createPlaylist,
+  getUserPlaylists,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  reorderPlaylistVideos,
+} from "../controllers/playlist.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+//secured routes
+router.use(verifyJWT);
+
+router.route("/").post(createPlaylist);
+router.route("/user/:userId").get(getUserPlaylists);
+
+router
+  .route("/:playlistId")
+  .get(getPlaylistById)
+  .patch(updatePlaylist)
+  .delete(deletePlaylist);
+
+router.route("/:playlistId/reorder").patch(reorderPlaylistVideos);
+router
+  .route("/:playlistId/videos/:videoId")
+  .post(addVideoToPlaylist)
+  .delete(removeVideoFromPlaylist);
+
+export default router;
@@ -0,0 +1,26 @@
+import { Router } from "express";
+import {
+  reportVideo,
+  reportComment,
+  reportUser,
+  getReports,
+  resolveReport,
+} from "../controllers/report.controller.js";
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+//secured routes
+router.use(verifyJWT);
+
+router.route("/v/:videoId").post(reportVideo);
+router.route("/c/:commentId").post(reportComment);
+router.route("/u/:userId").post(reportUser);
+
+//moderation queue (moderators + admins)
+router.route("/").get(authorize("admin", "moderator"), getReports);
+router
+  .route("/:reportId/resolve")
+  .patch(authorize("admin", "moderator"), resolveReport);
+
+export default router;
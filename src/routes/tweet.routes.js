@@ -0,0 +1,23 @@
+import { Router } from "express";
+import {
+  createTweet,
+  getUserTweets,
+  getTweetFeed,
+  updateTweet,
+  deleteTweet,
+} from "../controllers/tweet.controller.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import { verifyJWT, optionalJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.route("/").post(verifyJWT, upload.single("image"), createTweet);
+router.route("/feed").get(verifyJWT, getTweetFeed);
+router.route("/user/:userId").get(optionalJWT, getUserTweets);
+
+router
+  .route("/:tweetId")
+  .patch(verifyJWT, upload.single("image"), updateTweet)
+  .delete(verifyJWT, deleteTweet);
+
+export default router;
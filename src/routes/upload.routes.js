@@ -0,0 +1,54 @@
+import express, { Router } from "express";
+import {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUploadSession,
+  cancelUploadSession,
+} from "../controllers/upload.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import { createUploadSessionSchema } from "../validators/upload.validator.js";
+import { MAX_CHUNK_SIZE } from "../utils/uploadSessions.js";
+
+const router = Router();
+
+// 🚦 Starting uploads is cheap, storing them is not
+const uploadSessionLimiter = rateLimit({
+  name: "upload-session",
+  windowMs: 60 * 60 * 1000,
+  max: 30,
+  keyBy: "user",
+  message: "Too many uploads started, please try again later",
+});
+
+// 📦 Raw chunk bytes (kept in memory, so one chunk is at most MAX_CHUNK_SIZE)
+const chunkParser = express.raw({
+  type: "application/offset+octet-stream",
+  limit: MAX_CHUNK_SIZE,
+});
+
+//secured routes
+router.use(verifyJWT);
+
+router
+  .route("/")
+  .post(
+    uploadSessionLimiter,
+    validate(createUploadSessionSchema),
+    createUploadSession,
+  );
+
+router
+  .route("/:uploadId")
+  .get(getUploadSession)
+  .patch(chunkParser, uploadChunk)
+  .delete(cancelUploadSession);
+
+router
+  .route("/:uploadId/complete")
+  .post(upload.single("thumbnail"), completeUploadSession);
+
+export default router;
@@ -3,14 +3,94 @@ import {
   registerUser,
   LoginUser,
   LoggedOutUser,
-  refreshAccessToken
+  refreshAccessToken,
+  changeCurrentPassword,
+  getCurrentUser,
+  updateAccountDetails,
+  updateUserAvatar,
+  updateUserCoverImage,
+  getUserChannelProfile,
+  getWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  toggleWatchHistoryPause,
+  getActiveSessions,
+  revokeSession,
+  logoutAllDevices,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPasswordRequest,
+  resetForgottenPassword,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  verifyTwoFactorLogin,
 } from "../controllers/user.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import {
+  registerSchema,
+  loginSchema,
+  changePasswordSchema,
+  updateAccountSchema,
+  channelParamsSchema,
+  videoIdParamsSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
+} from "../validators/user.validator.js";
 
 const router = Router();
 
+const MINUTE = 60 * 1000;
+
+// 🚦 Limits for the endpoints that attackers like to hammer
+const loginLimiter = rateLimit({
+  name: "login",
+  windowMs: 15 * MINUTE,
+  max: 10,
+  // only failed attempts count, so a shared office IP can still log in
+  skipSuccessfulRequests: true,
+  message: "Too many login attempts, please try again later",
+});
+const registerLimiter = rateLimit({
+  name: "register",
+  windowMs: 60 * MINUTE,
+  max: 5,
+});
+const emailLimiter = rateLimit({
+  name: "email",
+  windowMs: 60 * MINUTE,
+  max: 5,
+  message: "Too many emails requested, please try again later",
+});
+const verifyEmailLimiter = rateLimit({
+  name: "verify-email",
+  windowMs: 60 * MINUTE,
+  max: 5,
+  keyBy: "user",
+  message: "Too many emails requested, please try again later",
+});
+// guessing reset tokens or the current password
+const passwordLimiter = rateLimit({
+  name: "password",
+  windowMs: 15 * MINUTE,
+  max: 10,
+  keyBy: "user",
+});
+const refreshLimiter = rateLimit({
+  name: "refresh",
+  windowMs: 15 * MINUTE,
+  max: 30,
+});
+
 router.route("/register").post(
+  registerLimiter,
   upload.fields([
     {
       name: "avatar",
@@ -21,13 +101,86 @@ router.route("/register").post(
       maxCount: 1,
     },
   ]),
+  validate(registerSchema),
   registerUser,
 );
 
-router.route("/login").post(LoginUser);
+router.route("/login").post(loginLimiter, validate(loginSchema), LoginUser);
+router
+  .route("/login/2fa")
+  .post(loginLimiter, validate(twoFactorLoginSchema), verifyTwoFactorLogin);
+router
+  .route("/verify-email/confirm")
+  .post(validate(verifyEmailSchema), verifyEmail);
+router
+  .route("/password-reset/request")
+  .post(emailLimiter, validate(forgotPasswordSchema), forgotPasswordRequest);
+router
+  .route("/password-reset/confirm")
+  .post(passwordLimiter, validate(resetPasswordSchema), resetForgottenPassword);
 
 //secured routes
 router.route("/logout").post(verifyJWT, LoggedOutUser);
-router.route("/refresh-token").post(refreshAccessToken)
+router
+  .route("/verify-email/request")
+  .post(verifyJWT, verifyEmailLimiter, requestEmailVerification);
+router.route("/logout-all").post(verifyJWT, logoutAllDevices);
+router.route("/sessions").get(verifyJWT, getActiveSessions);
+router.route("/sessions/:sessionId").delete(verifyJWT, revokeSession);
+router.route("/refresh-token").post(refreshLimiter, refreshAccessToken);
+router
+  .route("/change-password")
+  .post(
+    verifyJWT,
+    passwordLimiter,
+    validate(changePasswordSchema),
+    changeCurrentPassword,
+  );
+router.route("/current-user").get(verifyJWT, getCurrentUser);
+router.route("/2fa/enroll").post(verifyJWT, enrollTwoFactor);
+router
+  .route("/2fa/confirm")
+  .post(
+    verifyJWT,
+    passwordLimiter,
+    validate(twoFactorCodeSchema),
+    confirmTwoFactor,
+  );
+router
+  .route("/2fa/disable")
+  .post(
+    verifyJWT,
+    passwordLimiter,
+    validate(disableTwoFactorSchema),
+    disableTwoFactor,
+  );
+router
+  .route("/update-account")
+  .patch(verifyJWT, validate(updateAccountSchema), updateAccountDetails);
+router
+  .route("/avatar")
+  .patch(verifyJWT, upload.single("avatar"), updateUserAvatar);
+router
+  .route("/cover-image")
+  .patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage);
+router
+  .route("/c/:username")
+  .get(
+    verifyJWT,
+    validate(channelParamsSchema, "params"),
+    getUserChannelProfile,
+  );
+router
+  .route("/history")
+  .get(verifyJWT, getWatchHistory)
+  .delete(verifyJWT, clearWatchHistory);
+router.route("/history/pause").patch(verifyJWT, toggleWatchHistoryPause);
+router
+  .route("/history/:videoId")
+  .delete(
+    verifyJWT,
+    validate(videoIdParamsSchema, "params"),
+    removeFromWatchHistory,
+  );
 
 export default router;
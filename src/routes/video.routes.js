@@ -0,0 +1,50 @@
+import { Router } from "express";
+import {
+  getAllVideos,
+  searchVideos,
+  publishAVideo,
+  getVideoById,
+  getRelatedVideos,
+  updateVideo,
+  deleteVideo,
+  togglePublishStatus,
+  reprocessVideo,
+} from "../controllers/video.controller.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import { verifyJWT, optionalJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router
+  .route("/")
+  .get(optionalJWT, getAllVideos)
+  .post(
+    verifyJWT,
+    upload.fields([
+      {
+        name: "videoFile",
+        maxCount: 1,
+      },
+      {
+        name: "thumbnail",
+        maxCount: 1,
+      },
+    ]),
+    publishAVideo,
+  );
+
+router.route("/search").get(optionalJWT, searchVideos);
+
+router
+  .route("/:videoId")
+  .get(optionalJWT, getVideoById)
+  .patch(verifyJWT, upload.single("thumbnail"), updateVideo)
+  .delete(verifyJWT, deleteVideo);
+
+router.route("/:videoId/related").get(optionalJWT, getRelatedVideos);
+
+router.route("/:videoId/reprocess").post(verifyJWT, reprocessVideo);
+
+router.route("/toggle/publish/:videoId").patch(verifyJWT, togglePublishStatus);
+
+export default router;
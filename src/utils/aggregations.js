@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+// Pipeline pieces shared by the controllers
+
+// 👤 Replace a user id field with the user's public profile
+// e.g. ...userProfileLookup("owner") → owner: { _id, username, fullname, avatar }
+const userProfileLookup = (field = "owner") => [
+  {
+    $lookup: {
+      from: "users",
+      localField: field,
+      foreignField: "_id",
+      as: field,
+      pipeline: [
+        {
+          $project: {
+            username: 1,
+            fullname: 1,
+            avatar: 1,
+          },
+        },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      [field]: { $first: `$${field}` },
+    },
+  },
+];
+
+// 🌍 Match for public videos: published by the owner and done processing
+// (videos from before the processing pipeline have no processingStatus)
+const publicVideosMatch = () => ({
+  isPublished: true,
+  processingStatus: { $in: ["ready", null] },
+});
+
+// 👁️ Match for videos a viewer may see: public ones, plus all of their own
+const visibleVideosMatch = (viewer) => {
+  if (!viewer) {
+    return publicVideosMatch();
+  }
+
+  return {
+    $or: [
+      publicVideosMatch(),
+      { owner: new mongoose.Types.ObjectId(viewer._id) },
+    ],
+  };
+};
+
+// ❤️ Add likesCount + likedByMe to each document of the given like targetType
+const likeStats = (targetType, viewer) => [
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: "target",
+      as: "likesCount",
+      pipeline: [{ $match: { targetType } }, { $count: "count" }],
+    },
+  },
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: "target",
+      as: "likedByMe",
+      pipeline: [
+        {
+          $match: {
+            targetType,
+            likedBy: viewer ? new mongoose.Types.ObjectId(viewer._id) : null,
+          },
+        },
+        { $limit: 1 },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      likesCount: { $ifNull: [{ $first: "$likesCount.count" }, 0] },
+      likedByMe: { $gt: [{ $size: "$likedByMe" }, 0] },
+    },
+  },
+];
+
+export { userProfileLookup, publicVideosMatch, visibleVideosMatch, likeStats };
@@ -0,0 +1,66 @@
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { ViewStat } from "../models/viewStat.model.js";
+import { Notification } from "../models/notification.model.js";
+import { deleteFile } from "./storage/index.js";
+import {
+  cancelVideoProcessing,
+  deleteVideoAssets,
+} from "./videoProcessing/index.js";
+
+// 🗑️ Delete a video together with everything that points at it
+// (comments, likes, notifications, playlist entries, view counters, processing
+// jobs and stored files)
+// Used by the owner's delete endpoint and by moderation.
+const deleteVideoWithRelatedData = async (video) => {
+  await Video.findByIdAndDelete(video._id);
+  await cancelVideoProcessing(video._id);
+
+  // 🧹 Remove its comments and every like on the video or its comments
+  const commentIds = await Comment.find({ video: video._id }).distinct("_id");
+  await Comment.deleteMany({ video: video._id });
+  await Like.deleteMany({
+    $or: [
+      { targetType: "Video", target: video._id },
+      { targetType: "Comment", target: { $in: commentIds } },
+    ],
+  });
+  await Notification.deleteMany({
+    $or: [
+      { targetType: "Video", target: video._id },
+      { targetType: "Comment", target: { $in: commentIds } },
+    ],
+  });
+  await VideoView.deleteMany({ video: video._id });
+  await ViewStat.deleteMany({ video: video._id });
+  await Playlist.updateMany(
+    { videos: video._id },
+    { $pull: { videos: video._id } },
+  );
+
+  // 🗑️ Remove its files from storage
+  await deleteFile(video.videoFileKey);
+  await deleteFile(video.thumbnailKey);
+  await deleteVideoAssets(video._id);
+};
+
+// 🗑️ Delete a comment, its replies and every like on them
+// Used by the author / video owner delete endpoint and by moderation.
+const deleteCommentWithReplies = async (comment) => {
+  const filter = {
+    $or: [{ _id: comment._id }, { parentComment: comment._id }],
+  };
+  const commentIds = await Comment.find(filter).distinct("_id");
+
+  await Comment.deleteMany(filter);
+  await Like.deleteMany({ targetType: "Comment", target: { $in: commentIds } });
+  await Notification.deleteMany({
+    targetType: "Comment",
+    target: { $in: commentIds },
+  });
+};
+
+export { deleteVideoWithRelatedData, deleteCommentWithReplies };
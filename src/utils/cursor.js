@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import ApiErrors from "./ApiErrors.js";
+
+// Cursor pagination on (createdAt, _id), newest first
+//
+// Unlike page numbers, a cursor stays stable when new documents are inserted
+// at the top: the next page always starts right after the last item seen.
+// The cursor is an opaque base64url string of "<createdAt ms>_<_id>".
+
+const encodeCursor = (doc) =>
+  Buffer.from(`${new Date(doc.createdAt).getTime()}_${doc._id}`).toString(
+    "base64url",
+  );
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), "base64url")
+    .toString()
+    .split("_");
+  const createdAt = new Date(Number(time));
+
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) {
+    throw new ApiErrors(400, "Invalid cursor");
+  }
+
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// 🔎 $match for documents that come after the cursor (or {} for the first page)
+const cursorMatch = (cursor) => {
+  if (!cursor) return {};
+
+  const { createdAt, _id } = decodeCursor(cursor);
+
+  return {
+    $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: _id } }],
+  };
+};
+
+// 📦 Build the response from limit + 1 fetched documents
+const buildCursorPage = (docs, limit) => {
+  const hasNextPage = docs.length > limit;
+  const items = hasNextPage ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasNextPage ? encodeCursor(items[items.length - 1]) : null,
+    hasNextPage,
+  };
+};
+
+export { encodeCursor, decodeCursor, cursorMatch, buildCursorPage };
@@ -0,0 +1,95 @@
+import fs from "fs";
+
+// Detect the real type of a file from its first bytes ("magic numbers")
+// The client's Content-Type / file extension can't be trusted.
+
+const IMAGE_FTYP_BRANDS = ["avif", "avis", "heic", "heix", "mif1", "msf1"];
+
+const SIGNATURES = [
+  {
+    mime: "image/jpeg",
+    ext: ".jpg",
+    test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  },
+  {
+    mime: "image/png",
+    ext: ".png",
+    test: (b) =>
+      b
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mime: "image/gif",
+    ext: ".gif",
+    test: (b) =>
+      b.toString("ascii", 0, 6) === "GIF87a" ||
+      b.toString("ascii", 0, 6) === "GIF89a",
+  },
+  {
+    mime: "image/webp",
+    ext: ".webp",
+    test: (b) =>
+      b.toString("ascii", 0, 4) === "RIFF" &&
+      b.toString("ascii", 8, 12) === "WEBP",
+  },
+  {
+    mime: "video/x-msvideo",
+    ext: ".avi",
+    test: (b) =>
+      b.toString("ascii", 0, 4) === "RIFF" &&
+      b.toString("ascii", 8, 12) === "AVI ",
+  },
+  {
+    mime: "video/quicktime",
+    ext: ".mov",
+    test: (b) =>
+      b.toString("ascii", 4, 8) === "ftyp" &&
+      b.toString("ascii", 8, 10) === "qt",
+  },
+  {
+    mime: "video/mp4",
+    ext: ".mp4",
+    // ftyp box is also used by HEIC / AVIF images, so check the brand
+    test: (b) =>
+      b.toString("ascii", 4, 8) === "ftyp" &&
+      !IMAGE_FTYP_BRANDS.includes(b.toString("ascii", 8, 12)),
+  },
+  {
+    mime: "video/webm",
+    ext: ".webm",
+    test: (b) =>
+      b.readUInt32BE(0) === 0x1a45dfa3 && b.includes(Buffer.from("webm")),
+  },
+  {
+    mime: "video/x-matroska",
+    ext: ".mkv",
+    test: (b) => b.readUInt32BE(0) === 0x1a45dfa3,
+  },
+];
+
+// Number of bytes we need to look at (EBML header can put "webm" a bit further in)
+const HEADER_SIZE = 64;
+
+// 🔎 Returns { mime, ext } or null when the type is unknown
+const detectFileType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  const match = SIGNATURES.find((signature) => signature.test(buffer));
+
+  return match ? { mime: match.mime, ext: match.ext } : null;
+};
+
+const detectFileTypeFromPath = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+
+  try {
+    const buffer = Buffer.alloc(HEADER_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_SIZE, 0);
+    return detectFileType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+export { detectFileType, detectFileTypeFromPath };
@@ -0,0 +1,202 @@
+import crypto from "crypto";
+import os from "os";
+import { Job } from "../models/job.model.js";
+
+// Background jobs stored in MongoDB
+//
+// registerJobHandler("video.process", handler, { maxAttempts, onRetry, onFailed })
+// enqueueJob("video.process", { videoId })
+// startJobWorker() — in every process that should run jobs (JOB_WORKER=false turns it off)
+//
+// A worker claims one due job at a time with an atomic findOneAndUpdate, so
+// several app instances can share the queue without running a job twice.
+// A failed job is tried again later (exponential backoff) until maxAttempts,
+// then marked "failed". A job whose worker died (lock expired) is picked up again.
+//
+// handler(job, { setProgress }) — throw to fail the attempt; an error with
+// `retryable: false` fails the job at once (e.g. a file that isn't a video).
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 30 * 1000; // 30 s, 1 min, 2 min, ...
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const LOCK_MS = 10 * 60 * 1000; // extended on every progress report
+const COMPLETED_TTL_MS = 24 * 60 * 60 * 1000;
+const FAILED_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+const handlers = new Map();
+let wakeWorker = () => {};
+
+const registerJobHandler = (type, handler, options = {}) => {
+  handlers.set(type, { handler, ...options });
+};
+
+// ⏳ Wait before the next attempt: doubles every time, capped
+const getBackoffMs = (attempts) =>
+  Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+
+// ➕ Add a job; it runs as soon as a worker is free (or at runAt)
+const enqueueJob = async (type, payload = {}, { maxAttempts, runAt } = {}) => {
+  const job = await Job.create({
+    type,
+    payload,
+    maxAttempts:
+      maxAttempts ?? handlers.get(type)?.maxAttempts ?? DEFAULT_MAX_ATTEMPTS,
+    runAt: runAt || new Date(),
+  });
+
+  wakeWorker();
+
+  return job;
+};
+
+// 🔒 Claim the next due job (or one whose worker stopped renewing its lock)
+const claimNextJob = () => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + LOCK_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true },
+  );
+};
+
+// Only the worker holding the lock may write the job back
+const ownedBy = (job) => ({ _id: job._id, lockedBy: WORKER_ID });
+
+const finishJob = (job, status, update = {}) => {
+  const ttl = status === "completed" ? COMPLETED_TTL_MS : FAILED_TTL_MS;
+
+  return Job.updateOne(ownedBy(job), {
+    $set: {
+      status,
+      lockedBy: null,
+      lockedUntil: null,
+      finishedAt: new Date(),
+      expiresAt: new Date(Date.now() + ttl),
+      ...update,
+    },
+  });
+};
+
+// ▶️ Run one claimed job and record the outcome
+const runJob = async (job) => {
+  const { handler, onRetry, onFailed } = handlers.get(job.type);
+
+  // 📊 Progress also renews the lock, so long jobs aren't taken over
+  const setProgress = (progress) =>
+    Job.updateOne(ownedBy(job), {
+      $set: {
+        progress: Math.max(0, Math.min(100, Math.round(progress))),
+        lockedUntil: new Date(Date.now() + LOCK_MS),
+      },
+    });
+
+  let error = null;
+
+  // a crashed worker can leave a job with every attempt used up
+  if (job.attempts > job.maxAttempts) {
+    error = new Error(job.lastError || "Job stopped while running");
+    error.retryable = false;
+  } else {
+    try {
+      await handler(job, { setProgress });
+      await finishJob(job, "completed", { progress: 100, lastError: null });
+      return;
+    } catch (caught) {
+      error = caught;
+    }
+  }
+
+  const message = error?.message || String(error);
+  const retry = error?.retryable !== false && job.attempts < job.maxAttempts;
+
+  console.log(
+    `Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`,
+    message,
+  );
+
+  try {
+    if (retry) {
+      await Job.updateOne(ownedBy(job), {
+        $set: {
+          status: "queued",
+          lockedBy: null,
+          lockedUntil: null,
+          lastError: message,
+          runAt: new Date(Date.now() + getBackoffMs(job.attempts)),
+        },
+      });
+      await onRetry?.(job, error);
+    } else {
+      await finishJob(job, "failed", { lastError: message });
+      await onFailed?.(job, error);
+    }
+  } catch (hookError) {
+    console.log("Job bookkeeping error:", hookError);
+  }
+};
+
+// ⏲️ Work through due jobs one by one, check again every pollIntervalMs when idle.
+// Returns a function that stops the worker (the running job still finishes).
+const startJobWorker = ({ pollIntervalMs = 5000 } = {}) => {
+  let stopped = false;
+  let running = false;
+  let timer = null;
+
+  const schedule = (delay) => {
+    if (stopped) return;
+
+    clearTimeout(timer);
+    timer = setTimeout(loop, delay);
+
+    // don't keep the process alive just for the worker
+    timer.unref();
+  };
+
+  const loop = async () => {
+    if (running || stopped) return;
+    running = true;
+
+    try {
+      let job;
+
+      while (!stopped && (job = await claimNextJob())) {
+        await runJob(job);
+      }
+    } catch (error) {
+      console.log("Job worker error:", error);
+    } finally {
+      running = false;
+      schedule(pollIntervalMs);
+    }
+  };
+
+  wakeWorker = () => {
+    if (!running) schedule(0);
+  };
+
+  schedule(0);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    wakeWorker = () => {};
+  };
+};
+
+export { registerJobHandler, enqueueJob, startJobWorker, getBackoffMs };
@@ -0,0 +1,12 @@
+// Mail transport that just prints the email (local development)
+export const consoleTransport = {
+  async send(message) {
+    console.log("📧 Email", {
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+    });
+
+    return { accepted: [message.to] };
+  },
+};
@@ -0,0 +1,25 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Mail transport that writes every email as a JSON file (tests / local inbox)
+// Files go to MAIL_OUTBOX_DIR (default ./logs/mail)
+export const fileTransport = {
+  async send(message) {
+    const dir = process.env.MAIL_OUTBOX_DIR || "./logs/mail";
+
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const file = path.join(
+      dir,
+      `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`,
+    );
+
+    await fs.promises.writeFile(
+      file,
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2),
+    );
+
+    return { accepted: [message.to], file };
+  },
+};
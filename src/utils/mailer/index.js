@@ -0,0 +1,51 @@
+import { consoleTransport } from "./console.transport.js";
+import { fileTransport } from "./file.transport.js";
+
+// Pluggable mailer
+//
+// A transport is any object with an async send(message) method, where
+// message = { to, subject, text, html }.
+// Built-in transports (pick with MAIL_TRANSPORT):
+//   console → prints emails to stdout (default, local development)
+//   file    → writes each email as JSON into MAIL_OUTBOX_DIR (tests)
+// A real provider (SMTP, SES, ...) can be plugged in with setMailTransport().
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let customTransport = null;
+
+const getTransport = () => {
+  if (customTransport) return customTransport;
+
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+
+  return transport;
+};
+
+// 🔌 Replace the transport (pass null to go back to MAIL_TRANSPORT)
+const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+// 📧 Send one email through the active transport
+const sendEmail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || "VideoTube <no-reply@videotube.local>",
+    to,
+    subject,
+    text,
+    html,
+  };
+
+  return await getTransport().send(message);
+};
+
+export { sendEmail, setMailTransport };
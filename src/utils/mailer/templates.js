@@ -0,0 +1,48 @@
+// Email bodies used by the auth flows
+
+// 🧼 Free text (user or moderator input) must not turn into markup
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+export const emailVerificationMail = (username, verificationUrl) => ({
+  subject: "Verify your email",
+  text:
+    `Hi ${username},\n\n` +
+    `Please verify your email by opening this link:\n${verificationUrl}\n\n` +
+    `The link expires in 24 hours. If you did not create an account, ignore this email.`,
+  html:
+    `<p>Hi ${username},</p>` +
+    `<p>Please verify your email by clicking <a href="${verificationUrl}">this link</a>.</p>` +
+    `<p>The link expires in 24 hours. If you did not create an account, ignore this email.</p>`,
+});
+
+export const passwordResetMail = (username, resetUrl) => ({
+  subject: "Reset your password",
+  text:
+    `Hi ${username},\n\n` +
+    `Reset your password by opening this link:\n${resetUrl}\n\n` +
+    `The link expires in 20 minutes. If you did not ask for a reset, ignore this email.`,
+  html:
+    `<p>Hi ${username},</p>` +
+    `<p>Reset your password by clicking <a href="${resetUrl}">this link</a>.</p>` +
+    `<p>The link expires in 20 minutes. If you did not ask for a reset, ignore this email.</p>`,
+});
+
+export const moderationWarningMail = (username, contentLabel, note) => ({
+  subject: "A warning about your content",
+  text:
+    `Hi ${username},\n\n` +
+    `After reviewing reports from the community, a moderator issued a warning for ${contentLabel}.\n` +
+    (note ? `\nModerator note: ${note}\n` : "") +
+    `\nPlease review the community guidelines. Repeated violations can lead to a ban.`,
+  html:
+    `<p>Hi ${escapeHtml(username)},</p>` +
+    `<p>After reviewing reports from the community, a moderator issued a warning for ${contentLabel}.</p>` +
+    (note ? `<p>Moderator note: ${escapeHtml(note)}</p>` : "") +
+    `<p>Please review the community guidelines. Repeated violations can lead to a ban.</p>`,
+});
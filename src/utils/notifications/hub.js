@@ -0,0 +1,52 @@
+// Live notification delivery to connected clients (Server-Sent Events)
+//
+// Keeps the open streams of this process: userId → Set of clients.
+// A client is anything with send(event, data) and close().
+// With several app instances each one only reaches its own connections;
+// swap publish() for a shared bus (e.g. Redis pub/sub) when scaling out.
+
+const MAX_CONNECTIONS_PER_USER = 5;
+
+const clients = new Map();
+
+// ➕ Register a client; returns a function that removes it again
+const subscribe = (userId, client) => {
+  const key = String(userId);
+  const userClients = clients.get(key) || new Set();
+
+  // 🚪 Too many open tabs → drop the oldest stream
+  if (userClients.size >= MAX_CONNECTIONS_PER_USER) {
+    const [oldest] = userClients;
+    userClients.delete(oldest);
+    oldest.close();
+  }
+
+  userClients.add(client);
+  clients.set(key, userClients);
+
+  return () => {
+    userClients.delete(client);
+    if (!userClients.size && clients.get(key) === userClients) {
+      clients.delete(key);
+    }
+  };
+};
+
+// 📣 Send an event to every open stream of a user (no-op when offline)
+const publish = (userId, event, data) => {
+  const userClients = clients.get(String(userId));
+  if (!userClients) return;
+
+  for (const client of userClients) {
+    try {
+      client.send(event, data);
+    } catch (error) {
+      // broken connection — its close handler will unsubscribe it
+    }
+  }
+};
+
+// 🟢 Does the user have at least one open stream on this instance?
+const isConnected = (userId) => clients.has(String(userId));
+
+export { subscribe, publish, isConnected };
@@ -0,0 +1,231 @@
+import mongoose from "mongoose";
+import { Notification } from "../../models/notification.model.js";
+import { User } from "../../models/user.model.js";
+import { Video } from "../../models/video.model.js";
+import { subscription } from "../../models/subscription.model.js";
+import { publish, isConnected } from "./hub.js";
+import { buildNotificationMessage } from "./messages.js";
+import { publicVideosMatch } from "../aggregations.js";
+
+// Creating notifications + pushing them to connected clients
+//
+// Every function here swallows its own errors: a failed notification must
+// never break the like / comment / upload that triggered it.
+
+const MAX_ACTORS = 20; // most recent actors kept on a grouped notification
+const FAN_OUT_BATCH = 1000; // subscribers written per insertMany on uploads
+
+const toId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// 🧾 Notification as clients see it: 3 latest actor profiles + message
+const serializeNotification = async (notification) => {
+  const actors = await User.find({
+    _id: { $in: notification.actors.slice(0, 3) },
+  })
+    .select("username fullname avatar")
+    .lean();
+
+  // keep the most-recent-first order of notification.actors
+  const ordered = notification.actors
+    .slice(0, 3)
+    .map((id) => actors.find((actor) => String(actor._id) === String(id)))
+    .filter(Boolean);
+
+  const data = { ...notification, actors: ordered };
+
+  return { ...data, message: buildNotificationMessage(data) };
+};
+
+const getUnreadCount = (userId) =>
+  Notification.countDocuments({ recipient: userId, isRead: false });
+
+// 📣 Push a notification + the new unread count to the recipient's open streams
+const pushLive = async (notification) => {
+  // offline → they'll see it in the list next time, nothing to push
+  if (!isConnected(notification.recipient)) return;
+
+  publish(
+    notification.recipient,
+    "notification",
+    await serializeNotification(notification),
+  );
+  publish(notification.recipient, "unread-count", {
+    unreadCount: await getUnreadCount(notification.recipient),
+  });
+};
+
+// 🔕 Did the user turn this type of notification off?
+const wantsNotification = async (userId, type) => {
+  const user = await User.findById(userId)
+    .select("notificationPreferences")
+    .lean();
+
+  return Boolean(user) && user.notificationPreferences?.[type] !== false;
+};
+
+// ➕ Add one event to the recipient's unread notification of the same group
+// (or start a new one). A single update pipeline keeps the actor list and count
+// right when several events arrive at once.
+const upsertGroupedNotification = ({
+  recipient,
+  actor,
+  type,
+  targetType,
+  target,
+  groupKey,
+}) => {
+  const actorId = toId(actor);
+  const currentActors = { $ifNull: ["$actors", []] };
+
+  return Notification.findOneAndUpdate(
+    { recipient: toId(recipient), groupKey, isRead: false },
+    [
+      {
+        $set: {
+          type,
+          targetType,
+          target: toId(target),
+          readAt: null,
+          // same actor again (unlike + like) doesn't count twice
+          actorsCount: {
+            $add: [
+              { $ifNull: ["$actorsCount", 0] },
+              { $cond: [{ $in: [actorId, currentActors] }, 0, 1] },
+            ],
+          },
+          actors: {
+            $slice: [
+              {
+                $concatArrays: [
+                  [actorId],
+                  {
+                    $filter: {
+                      input: currentActors,
+                      cond: { $ne: ["$$this", actorId] },
+                    },
+                  },
+                ],
+              },
+              MAX_ACTORS,
+            ],
+          },
+          createdAt: { $ifNull: ["$createdAt", "$$NOW"] },
+          updatedAt: "$$NOW",
+        },
+      },
+    ],
+    { upsert: true, new: true, updatePipeline: true, timestamps: false },
+  ).lean();
+};
+
+// 🔔 Notify one user about something another user did
+// notify({ recipient, actor, type: "like", targetType: "Video", target, groupKey })
+const notify = async (event) => {
+  try {
+    // nobody gets notified about their own actions
+    if (String(event.recipient) === String(event.actor)) return null;
+
+    if (!(await wantsNotification(event.recipient, event.type))) return null;
+
+    let notification;
+
+    try {
+      notification = await upsertGroupedNotification(event);
+    } catch (error) {
+      // ⚡ Two first events raced on the upsert → the other one created it, add to it
+      if (error?.code !== 11000) throw error;
+      notification = await upsertGroupedNotification(event);
+    }
+
+    await pushLive(notification);
+
+    return notification;
+  } catch (error) {
+    console.log("Notification error:", error);
+    return null;
+  }
+};
+
+// 📺 Tell every subscriber that a channel published a new video
+// Runs once per video (subscribersNotifiedAt is claimed atomically), in batches,
+// and only once the video is public (published + processed).
+const notifySubscribersOfUpload = async (video) => {
+  try {
+    const claimed = await Video.findOneAndUpdate(
+      { _id: video._id, ...publicVideosMatch(), subscribersNotifiedAt: null },
+      { $set: { subscribersNotifiedAt: new Date() } },
+    );
+
+    if (!claimed) return;
+
+    const subscriptions = subscription
+      .find({ channel: video.owner })
+      .select("subcribers")
+      .lean()
+      .cursor();
+
+    let batch = [];
+
+    const flush = async () => {
+      if (!batch.length) return;
+
+      // 🔕 Skip subscribers who turned upload notifications off
+      const optedOut = await User.find({
+        _id: { $in: batch },
+        "notificationPreferences.new_video": false,
+      }).distinct("_id");
+      const optedOutIds = new Set(optedOut.map(String));
+
+      const docs = batch
+        .filter((id) => !optedOutIds.has(String(id)))
+        .map((recipient) => ({
+          recipient,
+          type: "new_video",
+          groupKey: `new_video:${video._id}`,
+          actors: [video.owner],
+          actorsCount: 1,
+          targetType: "Video",
+          target: video._id,
+        }));
+
+      batch = [];
+
+      if (!docs.length) return;
+
+      try {
+        await Notification.insertMany(docs, { ordered: false });
+      } catch (error) {
+        // duplicates (already notified) are fine, anything else is not
+        if (error?.code !== 11000 && !error?.writeErrors) throw error;
+      }
+
+      for (const doc of docs) {
+        if (!isConnected(doc.recipient)) continue;
+
+        const saved = await Notification.findOne({
+          recipient: doc.recipient,
+          groupKey: doc.groupKey,
+          isRead: false,
+        }).lean();
+
+        if (saved) await pushLive(saved);
+      }
+    };
+
+    for await (const entry of subscriptions) {
+      batch.push(entry.subcribers);
+      if (batch.length >= FAN_OUT_BATCH) await flush();
+    }
+
+    await flush();
+  } catch (error) {
+    console.log("Upload notification error:", error);
+  }
+};
+
+export {
+  notify,
+  notifySubscribersOfUpload,
+  serializeNotification,
+  getUnreadCount,
+};
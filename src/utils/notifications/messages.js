@@ -0,0 +1,41 @@
+// Human readable text of a notification
+// actors must be populated with { username, fullname } (most recent first)
+
+const TARGET_LABELS = {
+  Video: "video",
+  Comment: "comment",
+  Tweet: "post",
+  User: "channel",
+};
+
+// "alice" / "alice and bob" / "alice and 11 others"
+const describeActors = (actors = [], actorsCount = actors.length) => {
+  const first = actors[0]?.username || "Someone";
+  const others = Math.max(0, actorsCount - 1);
+
+  if (others === 0) return first;
+  if (others === 1 && actors[1]?.username) {
+    return `${first} and ${actors[1].username}`;
+  }
+  return `${first} and ${others} others`;
+};
+
+export const buildNotificationMessage = (notification) => {
+  const who = describeActors(notification.actors, notification.actorsCount);
+  const target = TARGET_LABELS[notification.targetType] || "content";
+
+  switch (notification.type) {
+    case "new_video":
+      return `${who} uploaded a new video`;
+    case "comment_reply":
+      return `${who} replied to your comment`;
+    case "video_comment":
+      return `${who} commented on your video`;
+    case "like":
+      return `${who} liked your ${target}`;
+    case "subscriber":
+      return `${who} subscribed to your channel`;
+    default:
+      return `${who} interacted with your ${target}`;
+  }
+};
@@ -0,0 +1,16 @@
+// Turn ?page=&limit= query params into safe options for aggregatePaginate
+// (page >= 1, 1 <= limit <= maxLimit)
+const getPaginationOptions = (
+  query = {},
+  { defaultLimit = 10, maxLimit = 50 } = {},
+) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || defaultLimit, 1),
+    maxLimit,
+  );
+
+  return { page, limit };
+};
+
+export { getPaginationOptions };
@@ -0,0 +1,41 @@
+import { memoryStore } from "./memory.store.js";
+import { mongoStore } from "./mongo.store.js";
+
+// Pluggable rate limit stores
+//
+// A store is an object with:
+//   increment(key, windowMs) → { count, resetAt } — count includes this hit
+//   decrement(key)           → undo one hit (used by skipSuccessfulRequests)
+//   reset(key)               → forget the key
+//
+// Pick the default store with RATE_LIMIT_STORE:
+//   memory → counters in this process (default)
+//   mongo  → counters in MongoDB, shared by every app instance
+// A single limiter can also get its own store: rateLimit({ store }).
+
+const stores = {
+  memory: memoryStore,
+  mongo: mongoStore,
+};
+
+let customStore = null;
+
+const getRateLimitStore = () => {
+  if (customStore) return customStore;
+
+  const name = process.env.RATE_LIMIT_STORE || "memory";
+  const store = stores[name];
+
+  if (!store) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+  }
+
+  return store;
+};
+
+// 🔌 Replace the default store (pass null to go back to RATE_LIMIT_STORE)
+const setRateLimitStore = (store) => {
+  customStore = store;
+};
+
+export { getRateLimitStore, setRateLimitStore };
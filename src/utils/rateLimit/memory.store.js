@@ -0,0 +1,51 @@
+// Rate limit store that keeps counters in this process
+// Fast and needs nothing else, but every app instance counts on its own
+// and the counters are lost on restart.
+
+const PRUNE_EVERY = 1000; // increments between two sweeps of expired keys
+
+const createMemoryStore = () => {
+  const hits = new Map(); // key → { count, resetAt }
+  let incrementsSincePrune = 0;
+
+  // 🧹 Drop finished windows so the map doesn't grow forever
+  const prune = (now) => {
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+
+      if (++incrementsSincePrune >= PRUNE_EVERY) {
+        incrementsSincePrune = 0;
+        prune(now);
+      }
+
+      let entry = hits.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+
+      entry.count += 1;
+
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async decrement(key) {
+      const entry = hits.get(key);
+      if (entry && entry.count > 0) entry.count -= 1;
+    },
+
+    async reset(key) {
+      hits.delete(key);
+    },
+  };
+};
+
+export const memoryStore = createMemoryStore();
+export { createMemoryStore };
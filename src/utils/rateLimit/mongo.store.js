@@ -0,0 +1,59 @@
+import { RateLimitCounter } from "../../models/rateLimitCounter.model.js";
+
+// Rate limit store backed by MongoDB (RateLimitCounter collection)
+// Shared by every app instance; a TTL index removes finished windows.
+
+// ➕ Count one hit: start a new window when the old one is over, otherwise add 1
+// A single update pipeline keeps it correct under parallel requests.
+const incrementCounter = (key, windowMs) =>
+  RateLimitCounter.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          count: {
+            $cond: [
+              { $gt: ["$expiresAt", "$$NOW"] },
+              { $add: ["$count", 1] },
+              1,
+            ],
+          },
+          expiresAt: {
+            $cond: [
+              { $gt: ["$expiresAt", "$$NOW"] },
+              "$expiresAt",
+              { $add: ["$$NOW", windowMs] },
+            ],
+          },
+        },
+      },
+    ],
+    { upsert: true, new: true, updatePipeline: true },
+  ).lean();
+
+export const mongoStore = {
+  async increment(key, windowMs) {
+    let counter;
+
+    try {
+      counter = await incrementCounter(key, windowMs);
+    } catch (error) {
+      // ⚡ Two first hits raced on the upsert → the other one created it, count again
+      if (error?.code !== 11000) throw error;
+      counter = await incrementCounter(key, windowMs);
+    }
+
+    return { count: counter.count, resetAt: counter.expiresAt };
+  },
+
+  async decrement(key) {
+    await RateLimitCounter.updateOne(
+      { key, count: { $gt: 0 } },
+      { $inc: { count: -1 } },
+    );
+  },
+
+  async reset(key) {
+    await RateLimitCounter.deleteOne({ key });
+  },
+};
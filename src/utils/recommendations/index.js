@@ -0,0 +1,255 @@
+import mongoose from "mongoose";
+import { Video } from "../../models/video.model.js";
+import { User } from "../../models/user.model.js";
+import { subscription } from "../../models/subscription.model.js";
+import { publicVideosMatch } from "../aggregations.js";
+import { buildTermSet, rankRecommendations } from "./scoring.js";
+
+// Recommendations = load candidates + viewer signals from the database,
+// then rank them with the pure functions of scoring.js
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const RECENT_HISTORY = 20; // watched videos used as "seeds" for the home feed
+const CO_WATCH_USERS = 500; // other viewers sampled for co-watch counts
+const CO_WATCH_HISTORY = 50; // entries of their history that are looked at
+const SOURCE_LIMIT = 100; // candidates taken from each source
+const FRESH_DAYS = 90; // channel uploads older than this are not candidates
+const POPULAR_DAYS = 30; // window for the "popular right now" source
+const MAX_SEARCH_TERMS = 20;
+
+const CANDIDATE_FIELDS =
+  "title description thumbnail duration views owner createdAt";
+
+const toId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// 👤 What we know about the viewer: history, subscriptions, favourite channels
+const loadViewerContext = async (viewer) => {
+  if (!viewer) {
+    return {
+      watchedIds: [],
+      recentVideos: [],
+      subscribedChannels: new Set(),
+      channelAffinity: new Map(),
+    };
+  }
+
+  const [user, channelIds] = await Promise.all([
+    User.findById(viewer._id).select("watchHistory").lean(),
+    subscription.find({ subcribers: viewer._id }).distinct("channel"),
+  ]);
+
+  const watchedIds = user?.watchHistory || [];
+
+  // 📊 How many watched videos came from each channel
+  const channelCounts = await Video.aggregate([
+    { $match: { _id: { $in: watchedIds } } },
+    { $group: { _id: "$owner", count: { $sum: 1 } } },
+  ]);
+
+  const recentVideos = await Video.find({
+    _id: { $in: watchedIds.slice(0, RECENT_HISTORY) },
+  })
+    .select("title description owner")
+    .lean();
+
+  return {
+    watchedIds,
+    recentVideos,
+    subscribedChannels: new Set(channelIds.map(String)),
+    channelAffinity: new Map(
+      channelCounts.map((entry) => [String(entry._id), entry.count]),
+    ),
+  };
+};
+
+// 👥 Videos that viewers of the seed videos also watched → [{ _id, coWatchCount }]
+const loadCoWatched = async (seedIds, viewer) => {
+  if (!seedIds.length) return [];
+
+  return await User.aggregate([
+    {
+      $match: {
+        watchHistory: { $in: seedIds },
+        ...(viewer && { _id: { $ne: toId(viewer._id) } }),
+      },
+    },
+    // most recently active viewers first, _id keeps the sample stable
+    { $sort: { updatedAt: -1, _id: 1 } },
+    { $limit: CO_WATCH_USERS },
+    {
+      $project: {
+        watchHistory: { $slice: ["$watchHistory", CO_WATCH_HISTORY] },
+      },
+    },
+    { $unwind: "$watchHistory" },
+    { $match: { watchHistory: { $nin: seedIds } } },
+    { $group: { _id: "$watchHistory", coWatchCount: { $sum: 1 } } },
+    { $sort: { coWatchCount: -1, _id: 1 } },
+    { $limit: SOURCE_LIMIT },
+  ]);
+};
+
+// 🎯 Candidate videos from every source (co-watched, channels, similar text, popular)
+const loadCandidates = async ({
+  coWatched,
+  channelIds,
+  terms,
+  viewer,
+  now,
+}) => {
+  const visible = {
+    ...publicVideosMatch(),
+    ...(viewer && { owner: { $ne: toId(viewer._id) } }),
+  };
+
+  const coWatchCounts = new Map(
+    coWatched.map((entry) => [String(entry._id), entry.coWatchCount]),
+  );
+
+  const searchText = [...terms].slice(0, MAX_SEARCH_TERMS).join(" ");
+
+  const sources = await Promise.all([
+    Video.find({ ...visible, _id: { $in: coWatched.map((e) => e._id) } })
+      .select(CANDIDATE_FIELDS)
+      .lean(),
+    channelIds.length
+      ? Video.find({
+          // $and keeps visible's owner filter (not the viewer) next to this one
+          $and: [visible, { owner: { $in: channelIds.map(toId) } }],
+          createdAt: { $gte: new Date(now - FRESH_DAYS * DAY) },
+        })
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(SOURCE_LIMIT)
+          .select(CANDIDATE_FIELDS)
+          .lean()
+      : [],
+    searchText
+      ? Video.find(
+          { ...visible, $text: { $search: searchText } },
+          { score: { $meta: "textScore" } },
+        )
+          .sort({ score: { $meta: "textScore" }, _id: 1 })
+          .limit(SOURCE_LIMIT)
+          .select(CANDIDATE_FIELDS)
+          .lean()
+      : [],
+    Video.find({
+      ...visible,
+      createdAt: { $gte: new Date(now - POPULAR_DAYS * DAY) },
+    })
+      .sort({ views: -1, _id: 1 })
+      .limit(SOURCE_LIMIT)
+      .select(CANDIDATE_FIELDS)
+      .lean(),
+  ]);
+
+  return sources.flat().map((video) => ({
+    ...video,
+    coWatchCount: coWatchCounts.get(String(video._id)) || 0,
+  }));
+};
+
+// 👤 Replace owner ids with public profiles, keeping the ranked order
+const withOwnerProfiles = async (ranked) => {
+  const ownerIds = [...new Set(ranked.map((entry) => entry.channelId))];
+
+  const owners = await User.find({ _id: { $in: ownerIds } })
+    .select("username fullname avatar")
+    .lean();
+
+  const ownersById = new Map(owners.map((owner) => [String(owner._id), owner]));
+
+  return ranked.map(({ candidate }) => {
+    const { coWatchCount, score, ...video } = candidate;
+    return { ...video, owner: ownersById.get(String(video.owner)) || null };
+  });
+};
+
+// 🎬 "Up next" for a video page
+const recommendRelated = async (video, viewer, { limit } = {}) => {
+  const now = new Date();
+  const context = await loadViewerContext(viewer);
+
+  // the channel of the video being watched counts like a favourite channel
+  const channelAffinity = new Map(context.channelAffinity);
+  const seedChannel = String(video.owner);
+  channelAffinity.set(
+    seedChannel,
+    Math.max(
+      channelAffinity.get(seedChannel) || 0,
+      1,
+      ...channelAffinity.values(),
+    ),
+  );
+
+  const terms = buildTermSet(video);
+  const coWatched = await loadCoWatched([toId(video._id)], viewer);
+
+  const candidates = await loadCandidates({
+    coWatched,
+    channelIds: [seedChannel, ...context.subscribedChannels],
+    terms,
+    viewer,
+    now,
+  });
+
+  const ranked = rankRecommendations(
+    candidates,
+    {
+      seedTerms: terms,
+      subscribedChannels: context.subscribedChannels,
+      channelAffinity,
+      excludedIds: new Set([
+        String(video._id),
+        ...context.watchedIds.map(String),
+      ]),
+      viewerId: viewer?._id,
+      now,
+    },
+    { limit },
+  );
+
+  return await withOwnerProfiles(ranked);
+};
+
+// 🏠 Personal home feed, built from the recent watch history
+// Anonymous viewers / empty histories fall back to popular videos.
+const recommendHome = async (viewer, { limit } = {}) => {
+  const now = new Date();
+  const context = await loadViewerContext(viewer);
+
+  const terms = new Set(
+    context.recentVideos.flatMap((v) => [...buildTermSet(v)]),
+  );
+  const seedIds = context.watchedIds.slice(0, RECENT_HISTORY).map(toId);
+  const coWatched = await loadCoWatched(seedIds, viewer);
+
+  const candidates = await loadCandidates({
+    coWatched,
+    channelIds: [
+      ...context.subscribedChannels,
+      ...context.channelAffinity.keys(),
+    ],
+    terms,
+    viewer,
+    now,
+  });
+
+  const ranked = rankRecommendations(
+    candidates,
+    {
+      seedTerms: terms,
+      subscribedChannels: context.subscribedChannels,
+      channelAffinity: context.channelAffinity,
+      excludedIds: new Set(context.watchedIds.map(String)),
+      viewerId: viewer?._id,
+      now,
+    },
+    { limit },
+  );
+
+  return await withOwnerProfiles(ranked);
+};
+
+export { recommendRelated, recommendHome };
@@ -0,0 +1,219 @@
+// Recommendation scoring — pure functions, no database access
+//
+// Everything a score depends on is passed in (candidates, viewer context, `now`),
+// so the same input always gives the same ranking and the functions can be
+// tested with plain objects.
+//
+// candidate: { _id, owner, title, description, views, createdAt, coWatchCount }
+// context: {
+//   seedTerms:        Set of terms the viewer is interested in (see buildTermSet)
+//   subscribedChannels: Set of channel id strings
+//   channelAffinity:  Map channel id string → number of watched videos from it
+//   excludedIds:      Set of video id strings that must not be recommended
+//   viewerId:         id string of the viewer — their own videos are never recommended
+//   now:              Date used for the time decay
+// }
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_WEIGHTS = {
+  coWatch: 3,
+  termOverlap: 2.5,
+  subscribed: 1.5,
+  channelAffinity: 1,
+  popularity: 1,
+};
+
+export const DEFAULT_OPTIONS = {
+  limit: 20,
+  maxPerChannel: 3, // hard cap of videos from one channel
+  channelPenalty: 0.7, // score multiplier for every video already picked from the same channel
+  halfLifeDays: 14, // popularity halves every 14 days
+};
+
+// Words too common to say anything about a video
+const STOP_WORDS = new Set(
+  (
+    "the and for with this that from your you are was were have has had not but " +
+    "all can its into out about how what when who why will just more some than " +
+    "then them they our his her she him video videos"
+  ).split(" "),
+);
+
+// 🔤 Lowercase words of 3+ letters/digits without stop words
+export const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length > 2 && !STOP_WORDS.has(term));
+
+// 📚 Terms of a video (title + description)
+export const buildTermSet = (video) =>
+  new Set([...tokenize(video?.title), ...tokenize(video?.description)]);
+
+// 🔗 Overlap of two term sets, 0..1 (cosine similarity of sets)
+export const termOverlap = (termsA, termsB) => {
+  if (!termsA.size || !termsB.size) return 0;
+
+  let shared = 0;
+  for (const term of termsA) {
+    if (termsB.has(term)) shared += 1;
+  }
+
+  return shared / Math.sqrt(termsA.size * termsB.size);
+};
+
+// 📉 Views fade with age: log(1 + views) halved every halfLifeDays
+export const decayedPopularity = (views, createdAt, now, halfLifeDays) => {
+  const ageDays = Math.max(
+    0,
+    (new Date(now).getTime() - new Date(createdAt).getTime()) / DAY,
+  );
+
+  return Math.log1p(Math.max(0, views || 0)) * 0.5 ** (ageDays / halfLifeDays);
+};
+
+const maxOf = (values) => Math.max(0, ...values);
+
+// 🧮 Score every candidate → [{ candidate, score, signals }]
+// Signals are normalised to 0..1 against the best candidate of the pool,
+// then combined with the weights.
+export const scoreCandidates = (
+  candidates,
+  context,
+  {
+    weights = DEFAULT_WEIGHTS,
+    halfLifeDays = DEFAULT_OPTIONS.halfLifeDays,
+  } = {},
+) => {
+  const seedTerms = context.seedTerms || new Set();
+  const subscribed = context.subscribedChannels || new Set();
+  const affinity = context.channelAffinity || new Map();
+  const now = context.now || new Date();
+
+  const raw = candidates.map((candidate) => {
+    const channelId = String(candidate.owner?._id ?? candidate.owner);
+
+    return {
+      candidate,
+      channelId,
+      coWatch: candidate.coWatchCount || 0,
+      termOverlap: termOverlap(seedTerms, buildTermSet(candidate)),
+      subscribed: subscribed.has(channelId) ? 1 : 0,
+      channelAffinity: affinity.get(channelId) || 0,
+      popularity: decayedPopularity(
+        candidate.views,
+        candidate.createdAt,
+        now,
+        halfLifeDays,
+      ),
+    };
+  });
+
+  const maxCoWatch = maxOf(raw.map((r) => r.coWatch));
+  const maxAffinity = maxOf(raw.map((r) => r.channelAffinity));
+  const maxPopularity = maxOf(raw.map((r) => r.popularity));
+
+  const normalise = (value, max) => (max > 0 ? value / max : 0);
+
+  return raw.map((r) => {
+    const signals = {
+      coWatch: normalise(r.coWatch, maxCoWatch),
+      termOverlap: r.termOverlap,
+      subscribed: r.subscribed,
+      channelAffinity: normalise(r.channelAffinity, maxAffinity),
+      popularity: normalise(r.popularity, maxPopularity),
+    };
+
+    const score = Object.entries(signals).reduce(
+      (sum, [name, value]) => sum + (weights[name] || 0) * value,
+      0,
+    );
+
+    return { candidate: r.candidate, channelId: r.channelId, score, signals };
+  });
+};
+
+// ⚖️ Total order: higher score, then newer, then smaller id — never depends on input order
+const compareScored = (a, b) =>
+  b.score - a.score ||
+  new Date(b.candidate.createdAt).getTime() -
+    new Date(a.candidate.createdAt).getTime() ||
+  (String(a.candidate._id) < String(b.candidate._id) ? -1 : 1);
+
+// 🎨 Pick the best videos while spreading them over channels:
+// every pick from a channel lowers the next one's score by channelPenalty,
+// and no channel gets more than maxPerChannel videos.
+export const diversify = (
+  scored,
+  {
+    limit = DEFAULT_OPTIONS.limit,
+    maxPerChannel = DEFAULT_OPTIONS.maxPerChannel,
+    channelPenalty = DEFAULT_OPTIONS.channelPenalty,
+  } = {},
+) => {
+  const remaining = [...scored].sort(compareScored);
+  const picksPerChannel = new Map();
+  const picked = [];
+
+  while (picked.length < limit && remaining.length) {
+    let bestIndex = -1;
+    let best = null;
+
+    for (let i = 0; i < remaining.length; i++) {
+      const entry = remaining[i];
+      const picks = picksPerChannel.get(entry.channelId) || 0;
+
+      if (picks >= maxPerChannel) continue;
+
+      const adjusted = {
+        ...entry,
+        score: entry.score * channelPenalty ** picks,
+      };
+
+      if (!best || compareScored(adjusted, best) < 0) {
+        best = adjusted;
+        bestIndex = i;
+      }
+    }
+
+    // every channel left is at its cap
+    if (bestIndex === -1) break;
+
+    remaining.splice(bestIndex, 1);
+    picksPerChannel.set(
+      best.channelId,
+      (picksPerChannel.get(best.channelId) || 0) + 1,
+    );
+    picked.push(best);
+  }
+
+  return picked;
+};
+
+// 🏆 Full ranking: drop excluded videos (and the viewer's own), score, diversify
+// → [{ candidate, score, signals }] best first
+export const rankRecommendations = (candidates, context, options = {}) => {
+  const excluded = context.excludedIds || new Set();
+  const viewerId = context.viewerId && String(context.viewerId);
+
+  // the same video can come from several candidate sources — keep it once,
+  // with the highest co-watch count any source reported
+  const unique = new Map();
+  for (const candidate of candidates) {
+    const id = String(candidate._id);
+    const ownerId = String(candidate.owner?._id ?? candidate.owner);
+    if (excluded.has(id) || ownerId === viewerId) continue;
+
+    const existing = unique.get(id);
+    if (!existing) {
+      unique.set(id, candidate);
+    } else if ((candidate.coWatchCount || 0) > (existing.coWatchCount || 0)) {
+      unique.set(id, { ...existing, coWatchCount: candidate.coWatchCount });
+    }
+  }
+
+  const scored = scoreCandidates([...unique.values()], context, options);
+
+  return diversify(scored, { ...DEFAULT_OPTIONS, ...options });
+};
@@ -0,0 +1,119 @@
+import { v2 as cloudinary } from "cloudinary";
+import fs from "fs";
+
+// Storage provider backed by Cloudinary
+//
+// Credentials come from CLOUDINARY_CLOUD_NAME / CLOUDINARY_API_KEY /
+// CLOUDINARY_API_SECRET (the old lowercase cloud_name / api_key / api_secret
+// variables still work as a fallback).
+
+// Configure Cloudinary - ensure it's set every time before upload
+const configureCloudinary = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME || process.env.cloud_name,
+    api_key: process.env.CLOUDINARY_API_KEY || process.env.api_key,
+    api_secret: process.env.CLOUDINARY_API_SECRET || process.env.api_secret,
+    secure: true,
+  });
+};
+
+// 🔎 Get { publicId, resourceType, format } back from a stored Cloudinary URL
+// e.g. https://res.cloudinary.com/demo/video/upload/v1712/videos/abc.mp4
+//      → { publicId: "videos/abc", resourceType: "video", format: "mp4" }
+const parseCloudinaryUrl = (url) => {
+  const match = String(url)
+    .split(/[?#]/)[0]
+    .match(/\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.([a-z0-9]+))?$/i);
+
+  if (!match) return null;
+
+  return { resourceType: match[1], publicId: match[2], format: match[3] };
+};
+
+// 🔑 Storage key = "<resource type>/<public id>", e.g. "video/videos/abc"
+// (deleting needs both, and neither changes with the delivery url)
+const buildKey = (resourceType, publicId) => `${resourceType}/${publicId}`;
+
+const parseKey = (key) => {
+  const match = String(key).match(/^(image|video|raw)\/(.+)$/);
+
+  if (!match) return null;
+
+  return { resourceType: match[1], publicId: match[2] };
+};
+
+const removeTempFile = (localFilePath) => {
+  if (localFilePath && fs.existsSync(localFilePath)) {
+    fs.unlinkSync(localFilePath);
+  }
+};
+
+export const cloudinaryStorage = {
+  name: "cloudinary",
+
+  async upload(localFilePath, { folder } = {}) {
+    try {
+      if (!localFilePath) return null;
+
+      // Ensure Cloudinary is configured before uploading
+      configureCloudinary();
+
+      const result = await cloudinary.uploader.upload(localFilePath, {
+        resource_type: "auto",
+        folder,
+      });
+
+      // delete temp file after upload
+      removeTempFile(localFilePath);
+
+      return {
+        url: result.secure_url || result.url,
+        key: buildKey(result.resource_type, result.public_id),
+        publicId: result.public_id,
+        resourceType: result.resource_type,
+        format: result.format,
+        bytes: result.bytes,
+        width: result.width,
+        height: result.height,
+        duration: result.duration,
+      };
+    } catch (error) {
+      removeTempFile(localFilePath);
+      console.log("Cloudinary upload error:", error);
+      return null;
+    }
+  },
+
+  async delete(key) {
+    const parsed = parseKey(key);
+
+    if (!parsed) return false;
+
+    configureCloudinary();
+
+    const result = await cloudinary.uploader.destroy(parsed.publicId, {
+      resource_type: parsed.resourceType,
+      invalidate: true,
+    });
+
+    return result?.result === "ok";
+  },
+
+  getUrl(url, { signed = false, expiresIn = 3600 } = {}) {
+    const parsed = parseCloudinaryUrl(url);
+
+    if (!signed || !parsed) return url;
+
+    configureCloudinary();
+
+    // 🔏 Time-limited signed delivery URL
+    return cloudinary.utils.private_download_url(
+      parsed.publicId,
+      parsed.format,
+      {
+        resource_type: parsed.resourceType,
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+      },
+    );
+  },
+};
@@ -0,0 +1,88 @@
+import fs from "fs";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { cloudinaryStorage } from "./cloudinary.storage.js";
+import { localStorage } from "./local.storage.js";
+
+// Pluggable file storage
+//
+// A provider is an object with:
+//   upload(localFilePath, { folder }) → { url, key, publicId, resourceType, duration?, ... } or null
+//   delete(key)                       → true when something was removed
+//   getUrl(url, { signed, expiresIn }) → public or signed URL for a stored file
+//   download(file, localFilePath)      → optional, copy a stored file ({ url, key }) to disk
+//                                        (default: fetch the url over HTTP)
+//
+// Controllers store the returned url (to show the file) next to its key, and
+// pass the key back to deleteFile() later. The key doesn't depend on settings
+// like the public base url, so files stay deletable when those change.
+//
+// Pick the provider with STORAGE_PROVIDER:
+//   cloudinary → Cloudinary (default)
+//   local      → public/uploads on this server (offline development / tests)
+
+const providers = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage,
+};
+
+let customProvider = null;
+
+const getStorage = () => {
+  if (customProvider) return customProvider;
+
+  const name = process.env.STORAGE_PROVIDER || "cloudinary";
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown STORAGE_PROVIDER "${name}"`);
+  }
+
+  return provider;
+};
+
+// 🔌 Replace the provider (pass null to go back to STORAGE_PROVIDER)
+const setStorageProvider = (provider) => {
+  customProvider = provider;
+};
+
+// ☁️ Upload a temp file; the temp file is always removed afterwards
+const uploadFile = async (localFilePath, options) =>
+  await getStorage().upload(localFilePath, options);
+
+// 🗑️ Delete a stored file by its key
+// Never throws — a failed cleanup must not break the request that triggered it
+const deleteFile = async (key) => {
+  if (!key) return false;
+
+  try {
+    return await getStorage().delete(key);
+  } catch (error) {
+    console.log("Storage delete error:", error);
+    return false;
+  }
+};
+
+const getFileUrl = (url, options) => getStorage().getUrl(url, options);
+
+// 📥 Copy a stored file ({ url, key }) to a local path (throws when it can't be read)
+const downloadFile = async (file, localFilePath) => {
+  const storage = getStorage();
+
+  if (storage.download) {
+    return await storage.download(file, localFilePath);
+  }
+
+  const response = await fetch(storage.getUrl(file.url, { signed: true }));
+
+  if (!response.ok || !response.body) {
+    throw new Error(`Download failed with status ${response.status}`);
+  }
+
+  await pipeline(
+    Readable.fromWeb(response.body),
+    fs.createWriteStream(localFilePath),
+  );
+};
+
+export { uploadFile, deleteFile, getFileUrl, downloadFile, setStorageProvider };
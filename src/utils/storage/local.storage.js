@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Storage provider that keeps files on the local disk, inside public/uploads
+// express.static("public") in app.js serves them, so no cloud account is needed.
+//
+// LOCAL_STORAGE_BASE_URL → public address of this server (default http://localhost:PORT)
+
+const PUBLIC_DIR = path.resolve("public");
+const UPLOADS_DIR = path.join(PUBLIC_DIR, "uploads");
+
+const getBaseUrl = () =>
+  (
+    process.env.LOCAL_STORAGE_BASE_URL ||
+    `http://localhost:${process.env.PORT || 8080}`
+  ).replace(/\/$/, "");
+
+// 🔎 Turn a storage key ("uploads/avatars/x.png") into a path inside public/uploads (or null)
+const resolveLocalPath = (key) => {
+  const filePath = path.resolve(PUBLIC_DIR, String(key));
+
+  // ❌ Never touch anything outside public/uploads (e.g. "../../.env")
+  if (!filePath.startsWith(UPLOADS_DIR + path.sep)) return null;
+
+  return filePath;
+};
+
+const removeTempFile = (localFilePath) => {
+  if (localFilePath && fs.existsSync(localFilePath)) {
+    fs.unlinkSync(localFilePath);
+  }
+};
+
+export const localStorage = {
+  name: "local",
+
+  async upload(localFilePath, { folder = "" } = {}) {
+    try {
+      if (!localFilePath) return null;
+
+      const ext = path.extname(localFilePath).toLowerCase();
+      const fileName = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${ext}`;
+      const targetDir = path.join(UPLOADS_DIR, folder);
+      const targetPath = path.join(targetDir, fileName);
+
+      await fs.promises.mkdir(targetDir, { recursive: true });
+
+      // 📁 Move the temp file into public/uploads (copy + delete works across disks)
+      await fs.promises.copyFile(localFilePath, targetPath);
+      removeTempFile(localFilePath);
+
+      const { size } = await fs.promises.stat(targetPath);
+      const relativePath = path
+        .relative(PUBLIC_DIR, targetPath)
+        .split(path.sep)
+        .join("/");
+
+      return {
+        url: `${getBaseUrl()}/${relativePath}`,
+        key: relativePath,
+        publicId: relativePath,
+        resourceType: "local",
+        format: ext.replace(".", ""),
+        bytes: size,
+      };
+    } catch (error) {
+      removeTempFile(localFilePath);
+      console.log("Local storage upload error:", error);
+      return null;
+    }
+  },
+
+  async delete(key) {
+    const filePath = resolveLocalPath(key);
+
+    if (!filePath) return false;
+
+    try {
+      await fs.promises.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  },
+
+  // 📥 Copy a stored file to a local path (e.g. for video processing)
+  async download({ key }, localFilePath) {
+    const filePath = resolveLocalPath(key);
+
+    if (!filePath) {
+      throw new Error("Not a local storage key");
+    }
+
+    await fs.promises.copyFile(filePath, localFilePath);
+  },
+
+  // Files in public/ are always public, so there is nothing to sign locally
+  getUrl(url) {
+    return url;
+  },
+};
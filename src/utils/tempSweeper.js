@@ -0,0 +1,66 @@
+import fs from "fs";
+import path from "path";
+import {
+  TEMP_DIR,
+  TEMP_FILE_PATTERN,
+} from "../middlewares/multer.middleware.js";
+
+// Periodically delete orphaned uploads from public/temp
+// (e.g. the process crashed between multer writing a file and storage taking it).
+// Only files with multer's generated names are touched.
+
+const sweepTempFiles = async (maxAgeMs) => {
+  let entries = [];
+
+  try {
+    entries = await fs.promises.readdir(TEMP_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+
+  const now = Date.now();
+  let removed = 0;
+
+  for (const name of entries) {
+    if (!TEMP_FILE_PATTERN.test(name)) continue;
+
+    const filePath = path.join(TEMP_DIR, name);
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+
+      if (stats.isFile() && now - stats.mtimeMs > maxAgeMs) {
+        await fs.promises.unlink(filePath);
+        removed++;
+      }
+    } catch (error) {
+      // removed by the request that owned it in the meantime
+    }
+  }
+
+  return removed;
+};
+
+// ⏲️ Run the sweep every intervalMs; returns a function that stops it
+const startTempSweeper = ({
+  intervalMs = 15 * 60 * 1000,
+  maxAgeMs = 60 * 60 * 1000,
+} = {}) => {
+  const run = () =>
+    sweepTempFiles(maxAgeMs)
+      .then((removed) => {
+        if (removed) console.log(`🧹 Removed ${removed} orphaned temp file(s)`);
+      })
+      .catch((error) => console.log("Temp sweep error:", error));
+
+  run();
+  const timer = setInterval(run, intervalMs);
+
+  // don't keep the process alive just for the sweeper
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+export { sweepTempFiles, startTempSweeper };
@@ -0,0 +1,160 @@
+import crypto from "crypto";
+
+// Time-based one-time passwords (RFC 6238) for two-factor authentication
+// Works with Google Authenticator, Authy, 1Password, ... (SHA1, 6 digits, 30 s)
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const SECRET_BYTES = 20; // 160 bits, the size RFC 4226 recommends
+
+// 🔤 Authenticator apps exchange secrets as base32 text
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, "");
+
+  let bits = "";
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 character");
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+};
+
+// 🔢 HOTP code for one counter value (RFC 4226)
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+// ⏱️ Number of the 30 second window a moment falls into
+const getTimeStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / PERIOD_SECONDS);
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+const generateTotp = (secret, now = Date.now()) =>
+  generateHotp(secret, getTimeStep(now));
+
+// ✅ Check a code against the current window and `window` windows around it
+// (clock drift between phone and server). Returns the matching time step,
+// so callers can refuse the same code twice, or null when nothing matches.
+const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  const candidate = String(code ?? "").replace(/\s/g, "");
+
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const currentStep = getTimeStep(now);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateHotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// 🔗 otpauth:// link for the QR code shown while enrolling
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// 🔐 TOTP secrets must be readable again to check codes, so they are encrypted
+// (not hashed) at rest with AES-256-GCM.
+// Key = TWO_FACTOR_ENCRYPTION_KEY, a key of its own: sharing one with the JWT
+// secrets would make rotating those lock every 2FA user out.
+const isTwoFactorConfigured = () =>
+  Boolean(process.env.TWO_FACTOR_ENCRYPTION_KEY);
+
+const getEncryptionKey = () => {
+  if (!isTwoFactorConfigured()) {
+    throw new Error("TWO_FACTOR_ENCRYPTION_KEY is not configured");
+  }
+
+  return crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY)
+    .digest();
+};
+
+// "iv.authTag.ciphertext", each part base64url
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = String(payload)
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv,
+  );
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8",
+  );
+};
+
+export {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  isTwoFactorConfigured,
+  encryptSecret,
+  decryptSecret,
+};
@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { TEMP_DIR } from "../middlewares/multer.middleware.js";
+
+// Helpers for resumable uploads: part files, chunk checksums, expiry
+
+const MB = 1024 * 1024;
+
+const UPLOAD_SESSIONS_DIR = path.join(TEMP_DIR, "sessions");
+const RECOMMENDED_CHUNK_SIZE = 8 * MB;
+const MAX_CHUNK_SIZE = 16 * MB;
+
+// unfinished sessions live this long after their last chunk
+// UPLOAD_SESSION_TTL_HOURS (default 24)
+const getUploadSessionTtlMs = () =>
+  (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// completed sessions are kept a little, so a repeated "complete" gets the same video
+const COMPLETED_SESSION_TTL_MS = 60 * 60 * 1000;
+
+// "Upload-Checksum: <algorithm> <base64 digest>" (same format as tus)
+const CHECKSUM_ALGORITHMS = { sha1: "sha1", sha256: "sha256", md5: "md5" };
+
+const createPartName = () => `${crypto.randomBytes(16).toString("hex")}.part`;
+
+const getPartPath = (session) =>
+  path.join(UPLOAD_SESSIONS_DIR, session.partName);
+
+// 🔎 Parse the Upload-Checksum header → { algorithm, digest } or null
+const parseChecksumHeader = (header) => {
+  const [name, digest] = String(header || "")
+    .trim()
+    .split(/\s+/);
+  const algorithm = CHECKSUM_ALGORITHMS[name?.toLowerCase()];
+
+  if (!algorithm || !digest) return null;
+
+  return { algorithm, digest };
+};
+
+const SUPPORTED_CHECKSUMS = Object.keys(CHECKSUM_ALGORITHMS);
+
+// ✅ Does the chunk match the checksum the client computed?
+const verifyChecksum = (chunk, { algorithm, digest }) => {
+  const actual = crypto.createHash(algorithm).update(chunk).digest();
+  const expected = Buffer.from(digest, "base64");
+
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+};
+
+const removePartFile = (partPath) =>
+  fs.promises.unlink(partPath).catch(() => {
+    // never written or already removed
+  });
+
+// 🗑️ Delete a session and its part file
+const discardUploadSession = async (session) => {
+  await UploadSession.deleteOne({ _id: session._id });
+  await removePartFile(getPartPath(session));
+};
+
+// 🧹 Remove expired sessions + part files no session points at anymore
+const sweepUploadSessions = async ({
+  orphanMaxAgeMs = 60 * 60 * 1000,
+} = {}) => {
+  let removed = 0;
+
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } })
+    .select("partName")
+    .lean();
+
+  for (const session of expired) {
+    await discardUploadSession(session);
+    removed++;
+  }
+
+  let entries = [];
+
+  try {
+    entries = await fs.promises.readdir(UPLOAD_SESSIONS_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return removed;
+    throw error;
+  }
+
+  const known = new Set(
+    await UploadSession.find({ partName: { $in: entries } }).distinct(
+      "partName",
+    ),
+  );
+  const now = Date.now();
+
+  for (const name of entries) {
+    if (!name.endsWith(".part") || known.has(name)) continue;
+
+    const partPath = path.join(UPLOAD_SESSIONS_DIR, name);
+
+    try {
+      const stats = await fs.promises.stat(partPath);
+
+      // only files nobody has written to for a while
+      if (stats.isFile() && now - stats.mtimeMs > orphanMaxAgeMs) {
+        await fs.promises.unlink(partPath);
+        removed++;
+      }
+    } catch (error) {
+      // removed in the meantime
+    }
+  }
+
+  return removed;
+};
+
+// ⏲️ Run the sweep every intervalMs; returns a function that stops it
+const startUploadSessionSweeper = ({ intervalMs = 15 * 60 * 1000 } = {}) => {
+  const run = () =>
+    sweepUploadSessions()
+      .then((removed) => {
+        if (removed) {
+          console.log(`🧹 Removed ${removed} expired upload session(s)`);
+        }
+      })
+      .catch((error) => console.log("Upload session sweep error:", error));
+
+  run();
+  const timer = setInterval(run, intervalMs);
+
+  // don't keep the process alive just for the sweeper
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+export {
+  UPLOAD_SESSIONS_DIR,
+  RECOMMENDED_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  getUploadSessionTtlMs,
+  COMPLETED_SESSION_TTL_MS,
+  createPartName,
+  getPartPath,
+  parseChecksumHeader,
+  SUPPORTED_CHECKSUMS,
+  verifyChecksum,
+  discardUploadSession,
+  sweepUploadSessions,
+  startUploadSessionSweeper,
+};
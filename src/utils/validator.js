@@ -0,0 +1,148 @@
+import { isValidObjectId } from "mongoose";
+
+// Small schema-based validator used by the validate() middleware
+//
+// A schema is a plain object: { fieldName: rules }
+// Supported rules:
+//   required          → field must be present and not empty
+//   requiredWithout   → required only when none of the listed fields are given
+//   type              → "string" | "number" | "boolean"
+//   trim              → trim strings before checking (and write the value back)
+//   lowercase         → lowercase strings (and write the value back)
+//   minLength / maxLength
+//   min / max         → numeric range
+//   pattern           → RegExp the value must match
+//   email             → must look like an email address
+//   objectId          → must be a valid Mongo ObjectId
+//   oneOf             → value must be in the list
+//   password          → must be a strong password (see PASSWORD_RULES)
+//   custom(value, data) → return an error message string when invalid
+//   message           → override the default error message
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const PASSWORD_RULES = [
+  { test: (v) => v.length >= 8, message: "at least 8 characters" },
+  { test: (v) => /[a-z]/.test(v), message: "a lowercase letter" },
+  { test: (v) => /[A-Z]/.test(v), message: "an uppercase letter" },
+  { test: (v) => /\d/.test(v), message: "a number" },
+];
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+// 🔎 Check one value against its rules → error message or null
+const checkField = (field, value, rules, data) => {
+  const fail = (message) => rules.message || message;
+
+  if (isEmpty(value)) {
+    if (rules.required) {
+      return fail(`${field} is required`);
+    }
+
+    if (rules.requiredWithout?.every((other) => isEmpty(data[other]))) {
+      return fail(
+        `${field} or ${rules.requiredWithout.join(" or ")} is required`,
+      );
+    }
+
+    // optional and missing → nothing else to check
+    return null;
+  }
+
+  if (rules.type === "string" && typeof value !== "string") {
+    return fail(`${field} must be a string`);
+  }
+
+  if (rules.type === "number" && !Number.isFinite(Number(value))) {
+    return fail(`${field} must be a number`);
+  }
+
+  if (
+    rules.type === "boolean" &&
+    ![true, false, "true", "false"].includes(value)
+  ) {
+    return fail(`${field} must be a boolean`);
+  }
+
+  if (rules.minLength !== undefined && String(value).length < rules.minLength) {
+    return fail(`${field} must be at least ${rules.minLength} characters`);
+  }
+
+  if (rules.maxLength !== undefined && String(value).length > rules.maxLength) {
+    return fail(`${field} must be at most ${rules.maxLength} characters`);
+  }
+
+  if (rules.min !== undefined && Number(value) < rules.min) {
+    return fail(`${field} must be at least ${rules.min}`);
+  }
+
+  if (rules.max !== undefined && Number(value) > rules.max) {
+    return fail(`${field} must be at most ${rules.max}`);
+  }
+
+  if (rules.pattern && !rules.pattern.test(String(value))) {
+    return fail(`${field} is invalid`);
+  }
+
+  if (rules.email && !EMAIL_REGEX.test(String(value))) {
+    return fail(`${field} must be a valid email address`);
+  }
+
+  if (rules.objectId && !isValidObjectId(value)) {
+    return fail(`${field} must be a valid id`);
+  }
+
+  if (rules.oneOf && !rules.oneOf.includes(value)) {
+    return fail(`${field} must be one of: ${rules.oneOf.join(", ")}`);
+  }
+
+  if (rules.password) {
+    const missing = PASSWORD_RULES.filter((r) => !r.test(String(value)));
+
+    if (missing.length) {
+      return fail(
+        `${field} must contain ${missing.map((r) => r.message).join(", ")}`,
+      );
+    }
+  }
+
+  if (rules.custom) {
+    const message = rules.custom(value, data);
+
+    if (message) {
+      return message;
+    }
+  }
+
+  return null;
+};
+
+// ✅ Validate a whole object → { value, errors }
+// value has trim / lowercase applied, errors is [{ field, message }]
+const validateSchema = (schema, data = {}) => {
+  const value = { ...data };
+  const errors = [];
+
+  for (const [field, rules] of Object.entries(schema)) {
+    let fieldValue = value[field];
+
+    if (typeof fieldValue === "string") {
+      if (rules.trim) fieldValue = fieldValue.trim();
+      if (rules.lowercase) fieldValue = fieldValue.toLowerCase();
+      if (fieldValue !== value[field]) value[field] = fieldValue;
+    }
+
+    const message = checkField(field, fieldValue, rules, value);
+
+    if (message) {
+      errors.push({ field, message });
+    }
+  }
+
+  return { value, errors };
+};
+
+export { validateSchema, EMAIL_REGEX };
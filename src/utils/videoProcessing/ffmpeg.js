@@ -0,0 +1,170 @@
+import { spawn } from "child_process";
+
+// Thin wrappers around the ffmpeg / ffprobe command line tools
+// FFMPEG_PATH / FFPROBE_PATH → binaries to use (default: from PATH)
+
+const getFfmpegPath = () => process.env.FFMPEG_PATH || "ffmpeg";
+const getFfprobePath = () => process.env.FFPROBE_PATH || "ffprobe";
+
+// ▶️ Run a command, collect stdout, reject with the end of stderr on failure
+// onStdoutLine is called for every line as it arrives
+const run = (command, args, { onStdoutLine } = {}) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+
+    let stdout = "";
+    let stderr = "";
+    let pending = "";
+
+    child.stdout.on("data", (chunk) => {
+      const text = chunk.toString();
+      stdout += text;
+
+      if (!onStdoutLine) return;
+
+      pending += text;
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      lines.forEach((line) => onStdoutLine(line.trim()));
+    });
+
+    // keep only the tail: ffmpeg is chatty and the error is at the end
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-4000);
+    });
+
+    // e.g. ENOENT when ffmpeg isn't installed
+    child.on("error", reject);
+
+    child.on("close", (code) => {
+      if (code === 0) return resolve(stdout);
+
+      const lastLines = stderr.trim().split("\n").slice(-3).join(" | ");
+      reject(new Error(`${command} exited with code ${code}: ${lastLines}`));
+    });
+  });
+
+// 🔎 Duration (seconds), width, height and whether there is an audio track
+const probeVideo = async (inputPath) => {
+  const output = await run(getFfprobePath(), [
+    "-v",
+    "error",
+    "-print_format",
+    "json",
+    "-show_format",
+    "-show_streams",
+    inputPath,
+  ]);
+
+  const { format = {}, streams = [] } = JSON.parse(output);
+  const videoStream = streams.find((stream) => stream.codec_type === "video");
+
+  if (!videoStream) return null;
+
+  let { width, height } = videoStream;
+
+  // 📱 Phone videos are stored sideways with a rotation flag
+  const rotation = Math.abs(
+    Number(
+      videoStream.tags?.rotate ??
+        videoStream.side_data_list?.find((data) => data.rotation !== undefined)
+          ?.rotation ??
+        0,
+    ),
+  );
+
+  if (rotation === 90 || rotation === 270) {
+    [width, height] = [height, width];
+  }
+
+  return {
+    duration: Number(format.duration ?? videoStream.duration) || 0,
+    width,
+    height,
+    hasAudio: streams.some((stream) => stream.codec_type === "audio"),
+  };
+};
+
+// 🖼️ Grab one frame as a JPEG thumbnail (max 1280 px wide)
+const extractThumbnail = (inputPath, outputPath, atSeconds) =>
+  run(getFfmpegPath(), [
+    "-hide_banner",
+    "-y",
+    "-ss",
+    String(atSeconds),
+    "-i",
+    inputPath,
+    "-frames:v",
+    "1",
+    "-vf",
+    "scale='min(1280,iw)':-2",
+    "-q:v",
+    "3",
+    outputPath,
+  ]);
+
+// 🎞️ Transcode to one HLS rendition: playlistPath + segments next to it
+// onProgress(0..1) while ffmpeg works through the input
+const transcodeHlsRendition = (
+  inputPath,
+  { playlistPath, segmentPattern, rendition, hasAudio, duration },
+  onProgress,
+) =>
+  run(
+    getFfmpegPath(),
+    [
+      "-hide_banner",
+      "-y",
+      "-i",
+      inputPath,
+      "-map",
+      "0:v:0",
+      ...(hasAudio ? ["-map", "0:a:0"] : []),
+      "-vf",
+      `scale=${rendition.width}:${rendition.height}`,
+      "-c:v",
+      "libx264",
+      "-preset",
+      "veryfast",
+      "-profile:v",
+      "main",
+      "-b:v",
+      rendition.videoBitrate,
+      "-maxrate",
+      rendition.videoBitrate,
+      "-bufsize",
+      rendition.videoBitrate.replace(/\d+/, (n) => String(n * 2)),
+      // a keyframe every 2 s at the start of every segment
+      "-force_key_frames",
+      "expr:gte(t,n_forced*2)",
+      "-sc_threshold",
+      "0",
+      ...(hasAudio
+        ? ["-c:a", "aac", "-b:a", rendition.audioBitrate, "-ac", "2"]
+        : []),
+      "-f",
+      "hls",
+      "-hls_time",
+      "6",
+      "-hls_playlist_type",
+      "vod",
+      "-hls_segment_filename",
+      segmentPattern,
+      "-progress",
+      "pipe:1",
+      "-nostats",
+      playlistPath,
+    ],
+    {
+      // "out_time_us=12345678" lines from -progress
+      onStdoutLine: (line) => {
+        const match = line.match(/^out_time_(?:us|ms)=(\d+)$/);
+
+        if (match && duration > 0) {
+          onProgress?.(Math.min(1, Number(match[1]) / 1e6 / duration));
+        }
+      },
+    },
+  );
+
+export { probeVideo, extractThumbnail, transcodeHlsRendition };
@@ -0,0 +1,385 @@
+import fs from "fs";
+import path from "path";
+import { Video } from "../../models/video.model.js";
+import { VideoAsset } from "../../models/videoAsset.model.js";
+import { Job } from "../../models/job.model.js";
+import { TEMP_DIR } from "../../middlewares/multer.middleware.js";
+import { uploadFile, deleteFile, downloadFile } from "../storage/index.js";
+import { registerJobHandler, enqueueJob } from "../jobQueue.js";
+import { notifySubscribersOfUpload } from "../notifications/index.js";
+import {
+  probeVideo,
+  extractThumbnail,
+  transcodeHlsRendition,
+} from "./ffmpeg.js";
+
+// Video processing pipeline, run by the job queue after every upload
+//
+//   1. download the uploaded file from storage
+//   2. probe it → duration, width, height
+//   3. generate a thumbnail when the owner didn't upload one
+//   4. transcode HLS renditions (never larger than the source) + master playlist
+//
+// Video.processingStatus goes queued → processing → ready (or failed), with
+// processingProgress 0-100 on the way. A video is only public once it's ready.
+//
+// VIDEO_PROCESSING=false skips all of this (e.g. no ffmpeg on the machine):
+// uploads are ready at once and need a thumbnail + duration like before.
+
+const VIDEO_PROCESSING_JOB = "video.process";
+
+// 📐 Renditions, smallest first
+const HLS_RENDITIONS = [
+  { name: "360p", height: 360, videoBitrate: "800k", audioBitrate: "96k" },
+  { name: "480p", height: 480, videoBitrate: "1400k", audioBitrate: "128k" },
+  { name: "720p", height: 720, videoBitrate: "2800k", audioBitrate: "128k" },
+  { name: "1080p", height: 1080, videoBitrate: "5000k", audioBitrate: "192k" },
+];
+
+// share of processingProgress each step ends at
+const PROGRESS = { downloaded: 10, probed: 15, thumbnail: 20, renditions: 98 };
+const PROGRESS_INTERVAL_MS = 2000;
+
+const isVideoProcessingEnabled = () => process.env.VIDEO_PROCESSING !== "false";
+
+// ❌ Retrying won't help (not a video, ...) → fail the job right away
+const permanentError = (message) =>
+  Object.assign(new Error(message), { retryable: false });
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// 📏 Renditions for a source size: every one up to the source height
+// (at least the smallest), width keeps the aspect ratio
+const pickRenditions = ({ width, height }) => {
+  const fitting = HLS_RENDITIONS.filter((r) => r.height <= height);
+  const chosen = fitting.length ? fitting : [HLS_RENDITIONS[0]];
+
+  return chosen.map((rendition) => {
+    const outHeight = Math.min(rendition.height, even(height));
+
+    return {
+      ...rendition,
+      height: outHeight,
+      width: even((width * outHeight) / height),
+      bandwidth:
+        (parseInt(rendition.videoBitrate, 10) +
+          parseInt(rendition.audioBitrate, 10)) *
+        1000,
+    };
+  });
+};
+
+// ☁️ Upload a generated file → { url, key }
+// the temp file is removed by the storage provider
+const uploadGenerated = async (localPath, folder) => {
+  const result = await uploadFile(localPath, { folder });
+
+  if (!result?.url) {
+    throw new Error(`Upload of ${path.basename(localPath)} failed`);
+  }
+
+  return { url: result.url, key: result.key };
+};
+
+// 🎞️ Transcode + upload one rendition → url of its playlist
+// Segment names in the playlist are replaced with their storage urls,
+// because storage gives every file a new name.
+const buildRendition = async (
+  inputPath,
+  workDir,
+  { videoId, rendition, probe, uploaded, onProgress },
+) => {
+  const dir = path.join(workDir, rendition.name);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const playlistPath = path.join(dir, "index.m3u8");
+
+  await transcodeHlsRendition(
+    inputPath,
+    {
+      playlistPath,
+      segmentPattern: path.join(dir, "segment_%05d.ts"),
+      rendition,
+      hasAudio: probe.hasAudio,
+      duration: probe.duration,
+    },
+    (fraction) => onProgress(fraction * 0.8),
+  );
+
+  const folder = `videos/hls/${videoId}/${rendition.name}`;
+  const lines = (await fs.promises.readFile(playlistPath, "utf8")).split("\n");
+  const segments = lines.filter((line) => line && !line.startsWith("#"));
+  const segmentUrls = new Map();
+
+  for (const [index, segment] of segments.entries()) {
+    const file = await uploadGenerated(path.join(dir, segment), folder);
+    uploaded.push({ ...file, rendition: rendition.name });
+    segmentUrls.set(segment, file.url);
+    onProgress(0.8 + (0.2 * (index + 1)) / segments.length);
+  }
+
+  await fs.promises.writeFile(
+    playlistPath,
+    lines.map((line) => segmentUrls.get(line) || line).join("\n"),
+  );
+
+  const playlist = await uploadGenerated(playlistPath, folder);
+  uploaded.push({ ...playlist, rendition: rendition.name });
+
+  return playlist.url;
+};
+
+// ⚙️ Job handler: job.payload = { videoId }
+const processVideo = async (job, { setProgress }) => {
+  const { videoId } = job.payload;
+
+  const video = await Video.findByIdAndUpdate(
+    videoId,
+    {
+      $set: {
+        processingStatus: "processing",
+        processingProgress: 0,
+        processingError: null,
+      },
+    },
+    { new: true },
+  );
+
+  // deleted before its turn came → nothing to do
+  if (!video) return;
+
+  const workDir = path.join(TEMP_DIR, `processing-${video._id}-${job._id}`);
+  const uploaded = [];
+  let generatedThumbnail = null;
+
+  // 📊 Throttled to one write every 2 s, except at the end of a step
+  let lastReportAt = 0;
+  const reportProgress = async (progress, { force = false } = {}) => {
+    if (!force && Date.now() - lastReportAt < PROGRESS_INTERVAL_MS) return;
+    lastReportAt = Date.now();
+
+    const rounded = Math.round(progress);
+    await Promise.all([
+      setProgress(rounded),
+      Video.updateOne(
+        { _id: video._id },
+        { $set: { processingProgress: rounded } },
+      ),
+    ]);
+  };
+
+  try {
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    // 1️⃣ Source file
+    const inputPath = path.join(
+      workDir,
+      `source${path.extname(new URL(video.videoFile).pathname).toLowerCase()}`,
+    );
+    await downloadFile(
+      { url: video.videoFile, key: video.videoFileKey },
+      inputPath,
+    );
+    await reportProgress(PROGRESS.downloaded, { force: true });
+
+    // 2️⃣ Probe
+    const probe = await probeVideo(inputPath);
+
+    if (!probe?.width || !probe?.height) {
+      throw permanentError("The uploaded file has no video stream");
+    }
+
+    await reportProgress(PROGRESS.probed, { force: true });
+
+    // 3️⃣ Thumbnail from 10 % into the video (max 5 s in)
+    if (!video.thumbnail) {
+      const thumbnailPath = path.join(workDir, "thumbnail.jpg");
+      await extractThumbnail(
+        inputPath,
+        thumbnailPath,
+        Math.min(5, probe.duration * 0.1).toFixed(2),
+      );
+      generatedThumbnail = await uploadGenerated(thumbnailPath, "thumbnails");
+    }
+
+    await reportProgress(PROGRESS.thumbnail, { force: true });
+
+    // 4️⃣ HLS renditions
+    const renditions = pickRenditions(probe);
+    const share =
+      (PROGRESS.renditions - PROGRESS.thumbnail) / renditions.length;
+    const builtRenditions = [];
+
+    for (const [index, rendition] of renditions.entries()) {
+      const playlistUrl = await buildRendition(inputPath, workDir, {
+        videoId: video._id,
+        rendition,
+        probe,
+        uploaded,
+        onProgress: (fraction) =>
+          reportProgress(PROGRESS.thumbnail + share * (index + fraction)).catch(
+            () => {},
+          ),
+      });
+
+      builtRenditions.push({
+        name: rendition.name,
+        width: rendition.width,
+        height: rendition.height,
+        bandwidth: rendition.bandwidth,
+        playlistUrl,
+      });
+    }
+
+    // 🗂️ Master playlist: lets the player switch between renditions
+    const masterPath = path.join(workDir, "master.m3u8");
+    await fs.promises.writeFile(
+      masterPath,
+      [
+        "#EXTM3U",
+        "#EXT-X-VERSION:3",
+        ...builtRenditions.flatMap((r) => [
+          `#EXT-X-STREAM-INF:BANDWIDTH=${r.bandwidth},RESOLUTION=${r.width}x${r.height},NAME="${r.name}"`,
+          r.playlistUrl,
+        ]),
+        "",
+      ].join("\n"),
+    );
+
+    const master = await uploadGenerated(masterPath, `videos/hls/${video._id}`);
+    uploaded.push({ ...master, rendition: "master" });
+
+    // ✅ Save the result — unless the video was deleted in the meantime
+    const previousAssets = await VideoAsset.find({ video: video._id }).lean();
+
+    const ready = await Video.findOneAndUpdate(
+      { _id: video._id },
+      {
+        $set: {
+          processingStatus: "ready",
+          processingProgress: 100,
+          processingError: null,
+          duration: Math.round(probe.duration * 100) / 100,
+          width: probe.width,
+          height: probe.height,
+          hlsUrl: master.url,
+          renditions: builtRenditions,
+        },
+      },
+      { new: true },
+    );
+
+    if (!ready) {
+      throw permanentError("Video was deleted while it was processed");
+    }
+
+    // 📌 The video points at the new files now → they're no longer rolled back
+    const assets = uploaded.splice(0);
+
+    await VideoAsset.insertMany(
+      assets.map((asset) => ({ ...asset, video: video._id })),
+    );
+
+    // 🖼️ Only fill an empty thumbnail (the owner may have uploaded one meanwhile)
+    if (generatedThumbnail) {
+      const { modifiedCount } = await Video.updateOne(
+        { _id: video._id, thumbnail: null },
+        {
+          $set: {
+            thumbnail: generatedThumbnail.url,
+            thumbnailKey: generatedThumbnail.key,
+          },
+        },
+      );
+
+      if (!modifiedCount) await deleteFile(generatedThumbnail.key);
+      generatedThumbnail = null;
+    }
+
+    // 🗑️ Files of an earlier run (video processed again)
+    for (const asset of previousAssets) {
+      await deleteFile(asset.key);
+    }
+    await VideoAsset.deleteMany({
+      _id: { $in: previousAssets.map((asset) => asset._id) },
+    });
+
+    // 🔔 Published and now visible → tell the subscribers (runs once per video)
+    if (ready.isPublished) {
+      notifySubscribersOfUpload(ready);
+    }
+  } catch (error) {
+    // 🧹 Don't leave half a rendition set behind in storage
+    for (const asset of uploaded) {
+      await deleteFile(asset.key);
+    }
+    await deleteFile(generatedThumbnail?.key);
+
+    throw error;
+  } finally {
+    await fs.promises
+      .rm(workDir, { recursive: true, force: true })
+      .catch(() => {});
+  }
+};
+
+// 📝 Mirror the job outcome on the video (queued again for a retry, or failed)
+const markVideo = (job, status, error) =>
+  Video.updateOne(
+    { _id: job.payload.videoId },
+    { $set: { processingStatus: status, processingError: error.message } },
+  );
+
+const registerVideoProcessing = () => {
+  registerJobHandler(VIDEO_PROCESSING_JOB, processVideo, {
+    maxAttempts: 3,
+    onRetry: (job, error) => markVideo(job, "queued", error),
+    onFailed: (job, error) => markVideo(job, "failed", error),
+  });
+};
+
+// ➕ Queue a video for processing
+const enqueueVideoProcessing = async (video) => {
+  await Video.updateOne(
+    { _id: video._id },
+    {
+      $set: {
+        processingStatus: "queued",
+        processingProgress: 0,
+        processingError: null,
+      },
+    },
+  );
+
+  return enqueueJob(VIDEO_PROCESSING_JOB, { videoId: video._id });
+};
+
+// ❌ Drop jobs that haven't started yet (video deleted)
+// a running job notices the deletion itself and removes its files
+const cancelVideoProcessing = (videoId) =>
+  Job.deleteMany({
+    type: VIDEO_PROCESSING_JOB,
+    "payload.videoId": videoId,
+    status: "queued",
+  });
+
+// 🗑️ Remove every generated file of a video from storage
+const deleteVideoAssets = async (videoId) => {
+  const assets = await VideoAsset.find({ video: videoId }).lean();
+
+  for (const asset of assets) {
+    await deleteFile(asset.key);
+  }
+
+  await VideoAsset.deleteMany({ video: videoId });
+};
+
+export {
+  VIDEO_PROCESSING_JOB,
+  isVideoProcessingEnabled,
+  pickRenditions,
+  registerVideoProcessing,
+  enqueueVideoProcessing,
+  cancelVideoProcessing,
+  deleteVideoAssets,
+};
@@ -0,0 +1,85 @@
+import ApiErrors from "./ApiErrors.js";
+import { Video } from "../models/video.model.js";
+import { uploadFile, deleteFile } from "./storage/index.js";
+import { notifySubscribersOfUpload } from "./notifications/index.js";
+import {
+  isVideoProcessingEnabled,
+  enqueueVideoProcessing,
+} from "./videoProcessing/index.js";
+
+// 📤 Store an uploaded video file (+ optional thumbnail) and create its Video
+// Shared by the one-request upload (POST /videos) and resumable uploads (/upload-sessions).
+// Once they reach storage the temp files are gone; when it throws before that,
+// removing them is up to the caller.
+const createVideoFromUpload = async ({
+  owner,
+  title,
+  description,
+  duration,
+  videoLocalPath,
+  thumbnailLocalPath,
+}) => {
+  const processing = isVideoProcessingEnabled();
+
+  // 🖼️ Without the pipeline nothing can generate a thumbnail
+  if (!thumbnailLocalPath && !processing) {
+    throw new ApiErrors(400, "Thumbnail is required");
+  }
+
+  // ☁️ Upload the files to storage
+  const videoFile = await uploadFile(videoLocalPath, { folder: "videos" });
+  const thumbnail = thumbnailLocalPath
+    ? await uploadFile(thumbnailLocalPath, { folder: "thumbnails" })
+    : null;
+
+  // ❌ If one upload failed, don't leave the other one behind in storage
+  if (!videoFile || (thumbnailLocalPath && !thumbnail)) {
+    await deleteFile(videoFile?.key);
+    await deleteFile(thumbnail?.key);
+    throw new ApiErrors(
+      400,
+      !videoFile ? "Video upload failed" : "Thumbnail upload failed",
+    );
+  }
+
+  // ⏱️ Cloudinary reports the real duration for videos, fall back to the client value
+  // (the pipeline measures it again anyway)
+  const videoDuration = videoFile.duration ?? Number(duration);
+
+  if (!Number.isFinite(videoDuration) && !processing) {
+    await deleteFile(videoFile.key);
+    await deleteFile(thumbnail?.key);
+    throw new ApiErrors(400, "Video duration is required");
+  }
+
+  const video = await Video.create({
+    title: title.trim(),
+    description: description.trim(),
+    videoFile: videoFile.url,
+    videoFileKey: videoFile.key,
+    thumbnail: thumbnail?.url ?? null,
+    thumbnailKey: thumbnail?.key ?? null,
+    duration: Number.isFinite(videoDuration) ? videoDuration : 0,
+    owner,
+    processingStatus: processing ? "queued" : "ready",
+    processingProgress: processing ? 0 : 100,
+  });
+
+  if (processing) {
+    // ⚙️ Probe, thumbnail and HLS renditions run in the background
+    await enqueueVideoProcessing(video);
+  } else if (video.isPublished) {
+    // 🔔 Subscribers hear about it in the background (can be many of them)
+    notifySubscribersOfUpload(video);
+  }
+
+  return video;
+};
+
+// 💬 Response message for a freshly created video
+const getUploadMessage = (video) =>
+  video.processingStatus === "ready"
+    ? "Video published successfully"
+    : "Video uploaded, it will be available once processing finishes";
+
+export { createVideoFromUpload, getUploadMessage };
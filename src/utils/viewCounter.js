@@ -0,0 +1,90 @@
+import crypto from "crypto";
+import { Video } from "../models/video.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { ViewStat } from "../models/viewStat.model.js";
+
+// View counting
+//
+// A view is counted once per viewer per video inside a time window
+// (VIEW_DEDUP_WINDOW_MINUTES, default 24 hours). Counters are only ever
+// changed with $inc, so parallel requests can't lose or double updates.
+
+const getWindowMs = () =>
+  (Number(process.env.VIEW_DEDUP_WINDOW_MINUTES) || 24 * 60) * 60 * 1000;
+
+// 🧂 Salt for anonymous viewer hashes — its own secret, never an auth key
+// (without one the hash of ip + user agent is easy to reverse)
+const getViewHashSalt = () => {
+  if (!process.env.VIEW_HASH_SALT) {
+    throw new Error("VIEW_HASH_SALT is not configured");
+  }
+
+  return process.env.VIEW_HASH_SALT;
+};
+
+// 👤 Logged-in viewers by user id, anonymous viewers by a salted hash of
+// ip + user agent (the raw ip is never stored)
+const getViewerKey = (req) => {
+  if (req.user?._id) {
+    return `u:${req.user._id}`;
+  }
+
+  const salt = getViewHashSalt();
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${salt}|${req.ip}|${req.get("user-agent") || ""}`)
+    .digest("hex");
+
+  return `a:${hash}`;
+};
+
+// 🔒 Claim the (video, viewer) slot for a new window
+// Returns true only for the request that starts a new window.
+const claimView = async (videoId, viewerKey) => {
+  const now = new Date();
+
+  try {
+    // Matches an expired marker (→ renew it) or nothing (→ upsert inserts one).
+    // An active marker doesn't match, so the upsert hits the unique index → 11000.
+    await VideoView.findOneAndUpdate(
+      { video: videoId, viewerKey, expiresAt: { $lte: now } },
+      { $set: { expiresAt: new Date(now.getTime() + getWindowMs()) } },
+      { upsert: true },
+    );
+    return true;
+  } catch (error) {
+    if (error?.code === 11000) return false;
+    throw error;
+  }
+};
+
+const startOfUtcDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+
+// 👁️ Count a view of `video` (needs _id and owner) for this request
+// Returns true when the view was counted
+const recordView = async (video, req) => {
+  // ❌ Owners watching their own video don't count
+  if (req.user && video.owner?._id?.toString() === req.user._id.toString()) {
+    return false;
+  }
+
+  const counted = await claimView(video._id, getViewerKey(req));
+
+  if (!counted) return false;
+
+  const ownerId = video.owner?._id || video.owner;
+
+  await Video.updateOne({ _id: video._id }, { $inc: { views: 1 } });
+  await ViewStat.updateOne(
+    { video: video._id, date: startOfUtcDay(new Date()) },
+    { $inc: { count: 1 }, $setOnInsert: { owner: ownerId } },
+    { upsert: true },
+  );
+
+  return true;
+};
+
+export { recordView, getViewerKey };
@@ -0,0 +1,42 @@
+import { UPLOAD_RULES } from "../middlewares/multer.middleware.js";
+
+// Validation schemas for /upload-sessions routes (used with the validate() middleware)
+
+export const createUploadSessionSchema = {
+  fileName: {
+    type: "string",
+    required: true,
+    trim: true,
+    maxLength: 255,
+  },
+  fileSize: {
+    type: "number",
+    required: true,
+    min: 1,
+    custom: (value) =>
+      Number.isInteger(Number(value))
+        ? null
+        : "fileSize must be a whole number",
+  },
+  mimeType: {
+    type: "string",
+    required: true,
+    trim: true,
+    lowercase: true,
+    oneOf: UPLOAD_RULES.videoFile.types,
+  },
+  title: {
+    type: "string",
+    required: true,
+    trim: true,
+    minLength: 1,
+    maxLength: 200,
+  },
+  description: {
+    type: "string",
+    required: true,
+    trim: true,
+    minLength: 1,
+    maxLength: 5000,
+  },
+};
@@ -0,0 +1,127 @@
+// Validation schemas for /users routes (used with the validate() middleware)
+
+const USERNAME_REGEX = /^[a-z0-9_.]+$/;
+
+const username = {
+  type: "string",
+  trim: true,
+  lowercase: true,
+  minLength: 3,
+  maxLength: 30,
+  pattern: USERNAME_REGEX,
+  message: "username must be 3-30 characters of letters, numbers, _ or .",
+};
+
+const email = {
+  type: "string",
+  trim: true,
+  lowercase: true,
+  maxLength: 254,
+  email: true,
+};
+
+const fullname = {
+  type: "string",
+  trim: true,
+  minLength: 1,
+  maxLength: 100,
+};
+
+export const registerSchema = {
+  username: { ...username, required: true },
+  email: { ...email, required: true },
+  fullname: { ...fullname, required: true },
+  password: {
+    type: "string",
+    required: true,
+    maxLength: 128,
+    password: true,
+  },
+};
+
+export const loginSchema = {
+  username: {
+    type: "string",
+    trim: true,
+    lowercase: true,
+    requiredWithout: ["email"],
+  },
+  email: {
+    type: "string",
+    trim: true,
+    lowercase: true,
+    requiredWithout: ["username"],
+  },
+  password: { type: "string", required: true },
+};
+
+export const changePasswordSchema = {
+  oldPassword: { type: "string", required: true },
+  newPassword: {
+    type: "string",
+    required: true,
+    maxLength: 128,
+    password: true,
+    custom: (value, data) =>
+      value === data.oldPassword
+        ? "newPassword must be different from oldPassword"
+        : null,
+  },
+};
+
+export const updateAccountSchema = {
+  fullname: { ...fullname, required: true },
+  email: { ...email, required: true },
+};
+
+export const channelParamsSchema = {
+  username: { type: "string", required: true, trim: true, lowercase: true },
+};
+
+export const videoIdParamsSchema = {
+  videoId: { required: true, objectId: true },
+};
+
+export const verifyEmailSchema = {
+  token: { type: "string", required: true, trim: true },
+};
+
+export const forgotPasswordSchema = {
+  email: { ...email, required: true },
+};
+
+export const resetPasswordSchema = {
+  token: { type: "string", required: true, trim: true },
+  newPassword: {
+    type: "string",
+    required: true,
+    maxLength: 128,
+    password: true,
+  },
+};
+
+const totpCode = {
+  type: "string",
+  trim: true,
+  pattern: /^\d{6}$/,
+  message: "code must be the 6 digit code from your authenticator app",
+};
+
+export const twoFactorCodeSchema = {
+  code: { ...totpCode, required: true },
+};
+
+export const twoFactorLoginSchema = {
+  challengeToken: { type: "string", required: true, trim: true },
+  code: { ...totpCode, requiredWithout: ["recoveryCode"] },
+  recoveryCode: {
+    type: "string",
+    trim: true,
+    maxLength: 20,
+    requiredWithout: ["code"],
+  },
+};
+
+export const disableTwoFactorSchema = {
+  password: { type: "string", required: true },
+};
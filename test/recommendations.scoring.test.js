@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  tokenize,
+  scoreCandidates,
+  diversify,
+  rankRecommendations,
+} from "../src/utils/recommendations/scoring.js";
+
+// Recommendation scoring is pure: plain objects in, the same ranking out
+
+const NOW = new Date("2026-01-31T00:00:00Z");
+
+const video = (id, owner, fields = {}) => ({
+  _id: id,
+  owner,
+  title: "",
+  description: "",
+  views: 0,
+  createdAt: new Date("2026-01-01T00:00:00Z"),
+  coWatchCount: 0,
+  ...fields,
+});
+
+const ids = (ranked) => ranked.map((entry) => entry.candidate._id);
+
+test("tokenize drops short words and stop words", () => {
+  assert.deepEqual(tokenize("The Best JS video for you, ok?"), ["best"]);
+});
+
+test("higher score ranks first", () => {
+  const ranked = rankRecommendations(
+    [
+      video("a", "c1", { views: 10 }),
+      video("b", "c2", { views: 1000 }),
+      video("c", "c3", { views: 100, coWatchCount: 5 }),
+    ],
+    { now: NOW },
+  );
+
+  assert.deepEqual(ids(ranked), ["c", "b", "a"]);
+});
+
+test("ties go to the newer video, then the smaller id", () => {
+  const candidates = [
+    video("b", "c1"),
+    video("a", "c2"),
+    video("n", "c3", { createdAt: new Date("2026-01-20T00:00:00Z") }),
+  ];
+
+  assert.deepEqual(ids(rankRecommendations(candidates, { now: NOW })), [
+    "n",
+    "a",
+    "b",
+  ]);
+});
+
+test("the ranking doesn't depend on the input order", () => {
+  const candidates = [
+    video("a", "c1", { views: 50, title: "node streams" }),
+    video("b", "c1", { views: 50 }),
+    video("c", "c2", { coWatchCount: 2 }),
+    video("d", "c3", { views: 500 }),
+    video("e", "c2"),
+  ];
+  const context = { seedTerms: new Set(["streams"]), now: NOW };
+
+  const forward = ids(rankRecommendations(candidates, context));
+  const backward = ids(rankRecommendations([...candidates].reverse(), context));
+
+  assert.deepEqual(backward, forward);
+});
+
+test("already watched videos and the viewer's own videos are left out", () => {
+  const ranked = rankRecommendations(
+    [
+      video("watched", "c1", { views: 1000 }),
+      video("own", "viewer", { views: 1000 }),
+      video("own-populated", { _id: "viewer" }, { views: 1000 }),
+      video("other", "c2"),
+    ],
+    { excludedIds: new Set(["watched"]), viewerId: "viewer", now: NOW },
+  );
+
+  assert.deepEqual(ids(ranked), ["other"]);
+});
+
+test("a video from several sources is kept once, with its best co-watch count", () => {
+  const ranked = rankRecommendations(
+    [
+      video("a", "c1"),
+      video("a", "c1", { coWatchCount: 4 }),
+      video("b", "c2", { coWatchCount: 2 }),
+    ],
+    { now: NOW },
+  );
+
+  assert.deepEqual(ids(ranked), ["a", "b"]);
+  assert.equal(ranked[0].signals.coWatch, 1);
+});
+
+test("subscribed channels and matching terms raise the score", () => {
+  const [plain, subscribed, matching] = scoreCandidates(
+    [
+      video("a", "c1"),
+      video("b", "c2"),
+      video("c", "c3", { title: "mongodb indexes" }),
+    ],
+    {
+      seedTerms: new Set(["mongodb", "indexes"]),
+      subscribedChannels: new Set(["c2"]),
+      now: NOW,
+    },
+  );
+
+  assert.equal(plain.score, 0);
+  assert.ok(subscribed.score > plain.score);
+  assert.ok(matching.score > subscribed.score);
+});
+
+test("diversify caps videos per channel", () => {
+  const scored = ["a", "b", "c", "d"].map((id, index) => ({
+    candidate: video(id, "c1"),
+    channelId: "c1",
+    score: 10 - index,
+  }));
+
+  const picked = diversify(
+    [...scored, { candidate: video("z", "c2"), channelId: "c2", score: 1 }],
+    { limit: 10, maxPerChannel: 2, channelPenalty: 0.5 },
+  );
+
+  // a (10), then b (9 * 0.5) vs z (1) → b, c1 is full → z
+  assert.deepEqual(ids(picked), ["a", "b", "z"]);
+});